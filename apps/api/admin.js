@@ -0,0 +1,232 @@
+// admin.js
+// Accès admin : clés nommées (hash en base, scopes, rotation, révocation) + journal admin_audit.
+// ADMIN_KEY (env) reste la clé racine : tous les scopes, plus la gestion des clés et la lecture du
+// journal (scope "root", jamais attribuable à une clé). Acteur = nom de la clé ; avec la clé racine,
+// "root" (ou "root:<x-admin-user>").
+// Chaque action (hors GET) et chaque refus de scope est écrit dans admin_audit à la fin de la
+// réponse : acteur, résumé du body (champs sensibles masqués) et résultat (statut + résumé).
+import crypto from "crypto";
+
+export const ADMIN_SCOPES = ["settle", "config", "gift-codes", "players", "finance"];
+const ROOT_SCOPE = "root";
+
+// champs jamais écrits au journal
+const REDACT_RE = /pin|secret|token|password|^key$/i;
+const MAX_STRING = 200;
+const MAX_ARRAY = 10;
+
+function hashAdminKey(key) {
+  return crypto.createHash("sha256").update(`DDJ-ADMIN-KEY|${key}`).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function generateAdminKey() {
+  const key = `ddj_${crypto.randomBytes(24).toString("base64url")}`;
+  return { key, prefix: key.slice(0, 12), hash: hashAdminKey(key) };
+}
+
+// résumé d'un body / d'une réponse : scalaires (tronqués), petits tableaux de scalaires gardés,
+// les autres => "[n items]", objets imbriqués jusqu'à `depth`, champs sensibles => "[redacted]"
+function summarize(v, depth) {
+  if (v == null || typeof v === "number" || typeof v === "boolean") return v ?? null;
+  if (typeof v === "string") return v.length > MAX_STRING ? `${v.slice(0, MAX_STRING)}…` : v;
+  if (v instanceof Date) return v.toISOString();
+  if (Array.isArray(v)) {
+    const small = v.length <= MAX_ARRAY && v.every((x) => x == null || typeof x !== "object");
+    return small ? v.map((x) => summarize(x, 0)) : `[${v.length} items]`;
+  }
+  if (typeof v !== "object") return String(v);
+  if (depth <= 0) return "{…}";
+  const out = {};
+  for (const [k, x] of Object.entries(v)) out[k] = REDACT_RE.test(k) ? "[redacted]" : summarize(x, depth - 1);
+  return out;
+}
+
+function formatKey(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    rotatedAt: row.rotated_at,
+    previousKeyValidUntil: row.prev_expires_at,
+    revokedAt: row.revoked_at,
+    revokedBy: row.revoked_by,
+  };
+}
+
+// scopes demandés => { scopes } | { error }
+export function parseScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return { error: "scopes required (array)" };
+  const out = [...new Set(scopes.map((s) => String(s).trim().toLowerCase()))];
+  const bad = out.filter((s) => !ADMIN_SCOPES.includes(s));
+  if (bad.length) return { error: `unknown scope(s) ${bad.join(", ")} (allowed: ${ADMIN_SCOPES.join(", ")})` };
+  return { scopes: out };
+}
+
+export function createAdminAuth({ pool }) {
+  // x-admin-key => { actor, keyId, scopes } | null
+  async function authenticate(req) {
+    const k = req.header("x-admin-key") || "";
+    if (!k) return null;
+
+    const root = process.env.ADMIN_KEY || "";
+    if (root && safeEqual(k, root)) {
+      const user = String(req.header("x-admin-user") || "").trim().slice(0, 64);
+      return { actor: user ? `root:${user}` : "root", keyId: null, scopes: [...ADMIN_SCOPES, ROOT_SCOPE] };
+    }
+
+    // clé courante, ou la précédente pendant sa période de grâce après rotation
+    const r = await pool.query(
+      `UPDATE admin_keys SET last_used_at = NOW()
+       WHERE revoked_at IS NULL
+         AND (key_hash = $1 OR (prev_key_hash = $1 AND prev_expires_at > NOW()))
+       RETURNING id, name, scopes`,
+      [hashAdminKey(k)]
+    );
+    if (!r.rows.length) return null;
+    const row = r.rows[0];
+    return { actor: row.name, keyId: String(row.id), scopes: row.scopes };
+  }
+
+  async function audit(req, res, scope, body) {
+    const a = req.admin;
+    await pool.query(
+      `INSERT INTO admin_audit (actor, key_id, scope, method, path, params, body, status, result, ip)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8, $9::jsonb, $10)`,
+      [
+        a.actor,
+        a.keyId,
+        scope,
+        req.method,
+        req.originalUrl.slice(0, 500),
+        JSON.stringify(req.params || {}),
+        JSON.stringify(summarize(req.body || {}, 2)),
+        res.statusCode,
+        JSON.stringify(res.statusCode >= 400 ? { error: body?.error ?? null } : summarize(body ?? {}, 1)),
+        req.ip || null,
+      ]
+    );
+  }
+
+  // middleware de route : app.post(path, requireScope("settle"), handler)
+  // 401 sans clé valide, 403 si la clé n'a pas le scope ; req.admin = { actor, keyId, scopes }
+  function requireScope(scope) {
+    return async (req, res, next) => {
+      try {
+        const a = await authenticate(req);
+        if (!a) return res.status(401).json({ error: "unauthorized" });
+        req.admin = a;
+
+        const denied = !a.scopes.includes(scope);
+        if (denied || req.method !== "GET") {
+          let body;
+          const json = res.json.bind(res);
+          res.json = (b) => {
+            body = b;
+            return json(b);
+          };
+          res.on("finish", () => {
+            audit(req, res, scope, body).catch((e) => console.error("admin audit failed:", e?.message || e));
+          });
+        }
+        if (denied) return res.status(403).json({ error: "forbidden", scope });
+        next();
+      } catch (e) {
+        res.status(500).json({ error: String(e?.message || e) });
+      }
+    };
+  }
+
+  // => { key (en clair, une seule fois), ...clé } | { status, error }
+  async function createKey({ name, scopes, createdBy }) {
+    const { key, prefix, hash } = generateAdminKey();
+    const r = await pool.query(
+      `INSERT INTO admin_keys (name, key_hash, key_prefix, scopes, created_by)
+       VALUES ($1, $2, $3, $4::text[], $5)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [name, hash, prefix, scopes, createdBy]
+    );
+    if (!r.rows.length) return { status: 409, error: "an active key with this name already exists" };
+    return { key, ...formatKey(r.rows[0]) };
+  }
+
+  // nouvelle valeur de clé ; l'ancienne reste valable graceMinutes (0 = tout de suite invalide)
+  async function rotateKey(id, { graceMinutes = 0 } = {}) {
+    const { key, prefix, hash } = generateAdminKey();
+    const r = await pool.query(
+      `UPDATE admin_keys
+       SET prev_key_hash = key_hash,
+           prev_expires_at = NOW() + ($2::int * INTERVAL '1 minute'),
+           key_hash = $3, key_prefix = $4, rotated_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [String(id), graceMinutes, hash, prefix]
+    );
+    if (!r.rows.length) return { status: 404, error: "active key not found" };
+    return { key, ...formatKey(r.rows[0]) };
+  }
+
+  async function revokeKey(id, { revokedBy }) {
+    const r = await pool.query(
+      `UPDATE admin_keys SET revoked_at = NOW(), revoked_by = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [String(id), revokedBy]
+    );
+    if (!r.rows.length) return { status: 404, error: "active key not found" };
+    return formatKey(r.rows[0]);
+  }
+
+  async function listKeys({ all = false } = {}) {
+    const r = await pool.query(
+      `SELECT * FROM admin_keys WHERE $1::boolean OR revoked_at IS NULL ORDER BY id ASC`,
+      [all]
+    );
+    return r.rows.map(formatKey);
+  }
+
+  // journal, du plus récent au plus ancien ; filtres optionnels
+  async function queryAudit({ actor, keyId, scope, method, path, status, since, until, beforeId, limit = 100 }) {
+    const r = await pool.query(
+      `SELECT * FROM admin_audit
+       WHERE ($1::text IS NULL OR actor = $1)
+         AND ($2::bigint IS NULL OR key_id = $2)
+         AND ($3::text IS NULL OR scope = $3)
+         AND ($4::text IS NULL OR method = $4)
+         AND ($5::text IS NULL OR path LIKE $5 || '%')
+         AND ($6::int IS NULL OR status = $6)
+         AND ($7::timestamptz IS NULL OR created_at >= $7)
+         AND ($8::timestamptz IS NULL OR created_at < $8)
+         AND ($9::bigint IS NULL OR id < $9)
+       ORDER BY id DESC
+       LIMIT $10`,
+      [actor, keyId, scope, method, path, status, since, until, beforeId, limit]
+    );
+    return r.rows.map((row) => ({
+      id: String(row.id),
+      at: row.created_at,
+      actor: row.actor,
+      keyId: row.key_id == null ? null : String(row.key_id),
+      scope: row.scope,
+      method: row.method,
+      path: row.path,
+      params: row.params,
+      body: row.body,
+      status: row.status,
+      result: row.result,
+      ip: row.ip,
+    }));
+  }
+
+  return { requireScope, createKey, rotateKey, revokeKey, listKeys, queryAudit };
+}
@@ -0,0 +1,79 @@
+// bench-settle.js
+// Benchmark du règlement : crée N paris (défaut 100k) sur un round négatif dans une base
+// Postgres LOCALE, puis chronomètre settlement.settleRound.
+// CLI : node --env-file=.env bench-settle.js [bets] [players] [chunkSize]
+// ⚠️ écrit pour de vrai (joueurs bench_*, round_results, game_bank, ledgers) : jamais sur la prod.
+import { pool } from "./db.js";
+import { migrateUp } from "./migrate.js";
+import { createEventBus } from "./events.js";
+import { createSettlementEngine } from "./settlement.js";
+
+const BETS = parseInt(process.argv[2] || "100000", 10);
+const PLAYERS = parseInt(process.argv[3] || "5000", 10);
+const CHUNK_SIZE = parseInt(process.argv[4] || process.env.SETTLE_CHUNK_SIZE || "5000", 10);
+
+function assertLocalDb() {
+  let host = "";
+  try {
+    host = new URL(process.env.DATABASE_URL || "").hostname;
+  } catch {
+    // URL invalide => refus
+  }
+  if (host === "localhost" || host === "127.0.0.1" || process.env.BENCH_FORCE === "1") return;
+  throw new Error("bench-settle only runs against a local DATABASE_URL (localhost / 127.0.0.1), set BENCH_FORCE=1 to override");
+}
+
+async function seed(roundId) {
+  // joueurs bench_1..bench_N (réutilisés d'un run à l'autre)
+  await pool.query(
+    `INSERT INTO players (username, balance_dos)
+     SELECT 'bench_' || g, 0 FROM generate_series(1, $1) g
+     ON CONFLICT (username) DO NOTHING`,
+    [PLAYERS]
+  );
+  const r = await pool.query(
+    `INSERT INTO bets (player_id, round_id, amount, nums, chance, choice)
+     SELECT p.id, $1, 10 * (1 + (g % 5)), x.nums, x.chance,
+            array_to_string(x.nums, '-') || '#' || x.chance
+     FROM generate_series(1, $2) g
+     JOIN players p ON p.username = 'bench_' || (1 + (g % $3))
+     CROSS JOIN LATERAL (
+       SELECT ARRAY(
+                SELECT n FROM (
+                  SELECT n FROM generate_series(1, 20) n WHERE g > 0 ORDER BY random() LIMIT 4
+                ) s ORDER BY n
+              ) AS nums,
+              1 + floor(random() * 5)::int AS chance
+     ) x`,
+    [roundId, BETS, PLAYERS]
+  );
+  return r.rowCount;
+}
+
+async function main() {
+  assertLocalDb();
+  await migrateUp();
+
+  // round négatif : jamais un vrai round, et un nouveau à chaque run
+  const roundId = -Math.floor(Date.now() / 1000);
+  console.log(`⏳ seeding ${BETS} bets / ${PLAYERS} players on round ${roundId}...`);
+  const t0 = Date.now();
+  const seeded = await seed(roundId);
+  console.log(`✅ seeded ${seeded} bets in ${Date.now() - t0}ms`);
+
+  const settlement = createSettlementEngine({ pool, events: createEventBus({ pool }) });
+  const t1 = Date.now();
+  const r = await settlement.settleRound(roundId, { chunkSize: CHUNK_SIZE });
+  const ms = Date.now() - t1;
+
+  console.log(`✅ settled round ${roundId}: ${r.run.bets} bets, ${r.run.players} players, ${r.run.chunks} chunks (chunkSize=${CHUNK_SIZE})`);
+  console.log(`   ${ms}ms, ${Math.round((r.run.bets * 1000) / Math.max(ms, 1))} bets/s, winners=${r.winnersCount}, pot=${r.pot}`);
+  console.log("⚠️ bench data left in place (players bench_*, round", roundId + ")");
+}
+
+main()
+  .then(() => pool.end())
+  .catch((e) => {
+    console.error("❌ bench-settle:", e?.message || e);
+    pool.end().finally(() => process.exit(1));
+  });
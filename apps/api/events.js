@@ -0,0 +1,268 @@
+// events.js
+// Bus d'événements temps réel : INSERT dans `events` + NOTIFY, chaque instance écoute (LISTEN)
+// et pousse aux clients SSE connectés chez elle. Publier dans une transaction => l'événement
+// n'existe (et n'est notifié) qu'au COMMIT.
+// Ordre : l'id (BIGSERIAL) est pris à l'INSERT, la ligne n'est visible qu'au COMMIT ; une longue
+// transaction (règlement, void) peut rendre visible un id plus petit qu'un id déjà dispatché.
+// Pas d'ordre global des COMMIT (il mettrait en série toutes les transactions qui publient) : les
+// ids sautés sont des "trous", relus à chaque tour jusqu'à ce que toutes les transactions en cours
+// quand le trou a été vu soient finies (xmin du snapshot) ; un trou encore vide est alors un
+// ROLLBACK ou un ON CONFLICT, abandonné.
+// Curseur client (`id` SSE, Last-Event-ID) : "<id>" ou "<id>_<trou>.<trou>..." = tout ce qui est
+// <= id, sauf les trous listés, a été envoyé.
+const CHANNEL = "ddj_events";
+const PAGE_SIZE = 1000;
+const REPLAY_PAGE_SIZE = 500;
+const REPLAY_MAX_EVENTS = 5000; // retard plus grand => reset (le client recharge son état)
+const MAX_GAPS = 10000;
+const CURSOR_MAX_GAPS = 50;
+// nextval() peut précéder l'attribution du xid de la transaction qui l'a pris : le xmax de
+// référence d'un trou est relevé après ce délai, pas au moment où le trou est vu
+const GAP_MIN_AGE_MS = 1000;
+
+// "<id>" | "<id>_<trou>.<trou>" => { after, gaps } (BigInt) | null
+function parseCursor(text) {
+  const m = /^(\d{1,18})(?:_(\d{1,18}(?:\.\d{1,18}){0,49}))?$/.exec(String(text || ""));
+  if (!m) return null;
+  return { after: BigInt(m[1]), gaps: m[2] ? m[2].split(".").map(BigInt) : [] };
+}
+
+export function createEventBus({ pool }) {
+  const subscribers = new Set();
+  let listener = null;
+  let lastId = null; // plus grand id dispatché par cette instance (BigInt)
+  const gaps = new Map(); // id sauté => { at: vu à, xmax: xmax relevé GAP_MIN_AGE_MS plus tard }
+  let fetching = false;
+  let again = false; // notification reçue pendant un fetch => on refait un tour
+  let pollTimer = null;
+  let pruneTimer = null;
+  let stopped = true;
+  let retentionHours = 24;
+
+  // db = pool ou client ; opts.key = clé de dédoublonnage (ex "round.opened:42")
+  async function publish(db, type, payload = {}, opts = {}) {
+    const r = await db.query(
+      `INSERT INTO events (type, player_id, dedupe_key, payload)
+       VALUES ($1, $2, $3, $4::jsonb)
+       ON CONFLICT (dedupe_key) DO NOTHING
+       RETURNING id`,
+      [type, opts.playerId ?? null, opts.key ?? null, JSON.stringify(payload)]
+    );
+    if (r.rowCount === 0) return null; // déjà publié
+    await db.query(`SELECT pg_notify($1, $2)`, [CHANNEL, String(r.rows[0].id)]);
+    return r.rows[0].id;
+  }
+
+  // publication groupée (règlement : un événement par joueur) : 1 INSERT + 1 NOTIFY
+  // items = [{ type, payload, playerId?, key? }]
+  async function publishMany(db, items) {
+    if (!items.length) return 0;
+    const r = await db.query(
+      `INSERT INTO events (type, player_id, dedupe_key, payload)
+       SELECT x.type, x.player_id, x.dedupe_key, x.payload
+       FROM unnest($1::text[], $2::bigint[], $3::text[], $4::jsonb[]) WITH ORDINALITY
+         AS x(type, player_id, dedupe_key, payload, n)
+       ORDER BY x.n
+       ON CONFLICT (dedupe_key) DO NOTHING
+       RETURNING id`,
+      [
+        items.map((it) => it.type),
+        items.map((it) => (it.playerId == null ? null : String(it.playerId))),
+        items.map((it) => it.key ?? null),
+        items.map((it) => JSON.stringify(it.payload ?? {})),
+      ]
+    );
+    if (r.rowCount > 0) await db.query(`SELECT pg_notify($1, $2)`, [CHANNEL, String(r.rows[r.rowCount - 1].id)]);
+    return r.rowCount;
+  }
+
+  // curseur de cette instance : lastId et ses trous encore ouverts
+  function cursor() {
+    if (lastId == null) return null;
+    if (!gaps.size) return String(lastId);
+    if (gaps.size > CURSOR_MAX_GAPS) {
+      // trop de trous pour un id SSE : reprise depuis le premier (doublons possibles, pas de perte)
+      let first = lastId;
+      for (const g of gaps.keys()) if (g < first) first = g;
+      return String(first - 1n);
+    }
+    return `${lastId}_${[...gaps.keys()].sort((a, b) => (a < b ? -1 : 1)).join(".")}`;
+  }
+
+  // une page de la reprise : événements visibles par playerId après le curseur ou dans ses trous
+  async function eventsSince(c, playerId, after) {
+    const r = await pool.query(
+      `SELECT id, type, player_id, payload, created_at
+       FROM events
+       WHERE (id > $1 OR id = ANY($2::bigint[])) AND id > $3
+         AND (player_id IS NULL OR player_id = $4)
+       ORDER BY id ASC
+       LIMIT $5`,
+      [String(c.after), c.gaps.map(String), String(after), playerId, REPLAY_PAGE_SIZE]
+    );
+    return r.rows;
+  }
+
+  // reprise après reconnexion : send(ev) pour chaque événement manqué, page par page jusqu'au bout
+  // => null | raison d'un reset (curseur illisible, événements déjà purgés, retard trop grand)
+  async function replay(cursorText, playerId, send) {
+    const c = parseCursor(cursorText);
+    if (!c) return "invalid cursor";
+    const m = await pool.query(`SELECT MIN(id) AS id FROM events`);
+    if (m.rows[0].id != null && BigInt(m.rows[0].id) > c.after + 1n) return "events pruned";
+    let after = 0n;
+    let count = 0;
+    for (;;) {
+      const rows = await eventsSince(c, playerId, after);
+      for (const ev of rows) {
+        if (++count > REPLAY_MAX_EVENTS) return "too many events";
+        send(ev);
+        after = BigInt(ev.id);
+      }
+      if (rows.length < REPLAY_PAGE_SIZE) return null;
+    }
+  }
+
+  function visible(sub, ev) {
+    return ev.player_id == null || String(ev.player_id) === String(sub.playerId);
+  }
+
+  // une page : ids > lastId + trous ouverts, lus avec le snapshot qui sert à fermer les trous
+  // => true si la page est pleine (il en reste)
+  async function dispatchPage() {
+    const r = await pool.query(
+      `SELECT s.xmin, s.xmax, e.id, e.type, e.player_id, e.payload, e.created_at
+       FROM (SELECT pg_snapshot_xmin(x)::text AS xmin, pg_snapshot_xmax(x)::text AS xmax
+             FROM pg_current_snapshot() AS x) s
+       LEFT JOIN LATERAL (
+         SELECT id, type, player_id, payload, created_at
+         FROM events
+         WHERE id > $1 OR id = ANY($2::bigint[])
+         ORDER BY id ASC
+         LIMIT $3
+       ) e ON TRUE`,
+      [String(lastId), [...gaps.keys()].map(String), PAGE_SIZE]
+    );
+    const xmin = BigInt(r.rows[0].xmin);
+    const xmax = BigInt(r.rows[0].xmax);
+    const now = Date.now();
+    const rows = r.rows.filter((row) => row.id != null);
+    for (const row of rows) {
+      const id = BigInt(row.id);
+      if (id > lastId) {
+        for (let g = lastId + 1n; g < id && gaps.size < MAX_GAPS; g++) gaps.set(g, { at: now, xmax: null });
+        lastId = id;
+      } else {
+        gaps.delete(id);
+      }
+      if (!subscribers.size) continue;
+      const c = cursor();
+      for (const sub of subscribers) if (visible(sub, row)) sub.send(row, c);
+    }
+    const full = rows.length === PAGE_SIZE;
+    // page incomplète => tous les trous ont été relus avec ce snapshot ; xmin >= xmax relevé :
+    // les transactions alors en cours sont finies, le trou ne sera jamais rempli
+    if (!full) {
+      for (const [g, x] of gaps) {
+        if (x.xmax == null) {
+          if (now - x.at >= GAP_MIN_AGE_MS) x.xmax = xmax;
+        } else if (xmin >= x.xmax) {
+          gaps.delete(g);
+        }
+      }
+    }
+    return full;
+  }
+
+  async function fetchAndDispatch() {
+    if (fetching) {
+      again = true;
+      return;
+    }
+    fetching = true;
+    try {
+      if (lastId == null) {
+        // au démarrage : les derniers ids sont relus (sans abonné) pour repérer leurs trous
+        const r = await pool.query(`SELECT COALESCE(MAX(id), 0) AS id FROM events`);
+        const max = BigInt(r.rows[0].id);
+        lastId = max > BigInt(PAGE_SIZE) ? max - BigInt(PAGE_SIZE) : 0n;
+      }
+      do {
+        again = false;
+        if (await dispatchPage()) again = true; // page pleine : la suite tout de suite
+      } while (again);
+    } catch (e) {
+      console.error("❌ events dispatch:", e?.message || e);
+    } finally {
+      fetching = false;
+    }
+  }
+
+  async function listen() {
+    try {
+      listener = await pool.connect();
+      listener.on("notification", () => fetchAndDispatch());
+      listener.on("error", (e) => {
+        console.error("❌ events listener:", e?.message || e);
+        reconnect();
+      });
+      await listener.query(`LISTEN ${CHANNEL}`);
+    } catch (e) {
+      console.error("❌ events LISTEN:", e?.message || e);
+      reconnect();
+    }
+  }
+
+  function reconnect() {
+    try {
+      listener?.release(true);
+    } catch {
+      // déjà libéré
+    }
+    listener = null;
+    if (!stopped) setTimeout(listen, 2000);
+  }
+
+  async function start(opts = {}) {
+    if (!stopped) return;
+    stopped = false;
+    if (Number.isFinite(opts.retentionHours) && opts.retentionHours > 0) retentionHours = opts.retentionHours;
+    const pollMs = Number.isFinite(opts.pollMs) && opts.pollMs >= 500 ? opts.pollMs : 10000;
+    await fetchAndDispatch(); // initialise lastId
+    await listen();
+    // filet de sécurité si une notification est perdue (reconnexion, etc.)
+    pollTimer = setInterval(fetchAndDispatch, pollMs);
+    pruneTimer = setInterval(() => {
+      pool
+        .query(`DELETE FROM events WHERE created_at < NOW() - ($1 || ' hours')::interval`, [
+          String(retentionHours),
+        ])
+        .catch((e) => console.error("❌ events prune:", e?.message || e));
+    }, 3600 * 1000);
+  }
+
+  function stop() {
+    stopped = true;
+    clearInterval(pollTimer);
+    clearInterval(pruneTimer);
+    listener?.release();
+    listener = null;
+  }
+
+  // sub = { playerId, send(ev, cursor) } ; renvoie la fonction de désinscription
+  function subscribe(sub) {
+    subscribers.add(sub);
+    return () => subscribers.delete(sub);
+  }
+
+  function state() {
+    return {
+      subscribers: subscribers.size,
+      lastId: lastId == null ? null : String(lastId),
+      gaps: gaps.size,
+      listening: !!listener,
+    };
+  }
+
+  return { publish, publishMany, replay, cursor, subscribe, start, stop, state };
+}
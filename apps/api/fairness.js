@@ -0,0 +1,75 @@
+// fairness.js
+import crypto from "crypto";
+
+// Provably fair (commit-reveal) :
+// 1) avant la fermeture des mises on publie seedHash = sha256(serverSeed)
+// 2) après le règlement on révèle serverSeed (+ clientSeed éventuel)
+// 3) n'importe qui peut recalculer le tirage avec outcomeFromSeeds()
+export const FAIR_ALGORITHM =
+  "HMAC-SHA256(key=serverSeed, msg=`${roundId}:${clientSeed}:${counter}`) -> uint32 BE, rejection sampling; " +
+  "drawCount numéros distincts 1..numsMax (triés) puis chance 1..chanceMax (règles du jeu du round ; classique : 4, 20, 5)";
+
+// tirage du jeu classique (rounds d'avant les définitions de jeux)
+const CLASSIC_DRAW = { numsMax: 20, drawCount: 4, chanceMax: 5 };
+
+export function newServerSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+export function seedHash(serverSeed) {
+  return crypto.createHash("sha256").update(String(serverSeed)).digest("hex");
+}
+
+// RNG déterministe : mêmes seeds + même roundId (+ mêmes règles) => même outcome
+// draw = { numsMax, drawCount, chanceMax } (une définition de jeu convient, cf games.js)
+export function outcomeFromSeeds(serverSeed, clientSeed, roundId, draw = CLASSIC_DRAW) {
+  let counter = 0;
+  let buf = Buffer.alloc(0);
+  let off = 0;
+
+  const nextUint32 = () => {
+    if (off + 4 > buf.length) {
+      buf = crypto
+        .createHmac("sha256", String(serverSeed))
+        .update(`${roundId}:${clientSeed ?? ""}:${counter++}`)
+        .digest();
+      off = 0;
+    }
+    const n = buf.readUInt32BE(off);
+    off += 4;
+    return n;
+  };
+
+  // rejection sampling => pas de biais de modulo
+  const nextInt = (mod) => {
+    const limit = Math.floor(0x100000000 / mod) * mod;
+    let n = nextUint32();
+    while (n >= limit) n = nextUint32();
+    return n % mod;
+  };
+
+  const nums = new Set();
+  while (nums.size < draw.drawCount) nums.add(1 + nextInt(draw.numsMax));
+  const main = Array.from(nums).sort((a, b) => a - b);
+  const chance = 1 + nextInt(draw.chanceMax);
+
+  return { main, chance };
+}
+
+// Crée (une seule fois) le seed d'un round et renvoie la ligne round_seeds.
+// db = pool ou client (dans une transaction)
+export async function ensureRoundSeed(db, roundId) {
+  const serverSeed = newServerSeed();
+  await db.query(
+    `INSERT INTO round_seeds (round_id, server_seed, seed_hash)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (round_id) DO NOTHING`,
+    [roundId, serverSeed, seedHash(serverSeed)]
+  );
+  const r = await db.query(
+    `SELECT round_id, server_seed, seed_hash, client_seed, revealed_at, created_at
+     FROM round_seeds WHERE round_id=$1`,
+    [roundId]
+  );
+  return r.rows[0];
+}
@@ -0,0 +1,271 @@
+// games.js
+// Définitions de jeux (table games) : bornes des numéros, chances, table des gains, split du pot.
+// Chaque jeu a son propre espace de rounds [round_base, round_base + ROUND_SPACE) : un roundId
+// désigne donc un seul jeu, et les tables par round (round_results, round_seeds, rounds...)
+// restent partagées. Son timing est dans round_timing_config (game_id), son carry / jackpot
+// dans game_bank (id = games.id).
+// Les règles d'un jeu sont figées à la création (les paris en cours en dépendent) :
+// pour changer de règles, on crée un nouveau jeu.
+// Deux modes de gains (prize_mode) :
+//  - POOL : pari-mutuel, chaque catégorie se partage sa part (share) du winPool
+//  - FIXED : cote fixe, une ligne gagnante rapporte mise x multiplier, payé par la réserve du jeu
+//    (game_bank.reserve_dos) ; les paris sont refusés au-delà de la réserve (cf exposure)
+import { applyRate, formatUnitsToDos, parseDosToUnits, toUnits } from "./money.js";
+
+export const CLASSIC_GAME_ID = 1; // le jeu historique 4/20 + chance 1..5 (round_base 0)
+export const ROUND_SPACE = 10_000_000_000;
+export const MAX_LINES_PER_GRID = 500; // C(pickMax, drawCount) x chanceMax (classique : 70 x 5)
+export const PRIZE_MODES = ["POOL", "FIXED"];
+export const MAX_MULTIPLIER = 100000;
+
+function rowToGame(r) {
+  return {
+    id: Number(r.id),
+    code: r.code,
+    name: r.name,
+    status: r.status,
+    prizeMode: r.prize_mode,
+    roundBase: Number(r.round_base),
+    numsMax: Number(r.nums_max),
+    drawCount: Number(r.draw_count),
+    pickMax: Number(r.pick_max),
+    chanceMax: Number(r.chance_max),
+    winPoolPercent: Number(r.win_pool_percent),
+    carryPercent: Number(r.carry_percent),
+    prizes: r.prizes,
+    jackpotSeedUnits: toUnits(r.jackpot_seed_dos),
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+export async function loadGames(db) {
+  const r = await db.query(`SELECT * FROM games ORDER BY id ASC`);
+  return r.rows.map(rowToGame);
+}
+
+// jeu propriétaire d'un roundId (rounds négatifs = jeu classique, cf bench-settle)
+export function gameForRound(games, roundId) {
+  const base = Math.max(0, Math.floor(roundId / ROUND_SPACE)) * ROUND_SPACE;
+  return games.find((g) => g.roundBase === base) || null;
+}
+
+export async function loadGameForRound(db, roundId) {
+  const base = Math.max(0, Math.floor(roundId / ROUND_SPACE)) * ROUND_SPACE;
+  const r = await db.query(`SELECT * FROM games WHERE round_base=$1`, [String(base)]);
+  return r.rows[0] ? rowToGame(r.rows[0]) : null;
+}
+
+// bornes SQL des rounds d'un jeu : round_id >= lo AND round_id < hi
+export function roundRange(game) {
+  return { lo: game.roundBase, hi: game.roundBase + ROUND_SPACE };
+}
+
+// catégorie gagnante d'une ligne : premier lot dont matches et chance correspondent
+// (chance: true = chance trouvée, false = ratée, null = indifférent)
+export function prizeCategory(prizes, matches, chanceOk) {
+  for (const p of prizes) {
+    if (p.matches !== matches) continue;
+    if (p.chance != null && p.chance !== chanceOk) continue;
+    return p.category;
+  }
+  return null;
+}
+
+// { category: share } (ordre de la table des gains ; 0 partout en cote fixe)
+export function potShares(game) {
+  return Object.fromEntries(game.prizes.map((p) => [p.category, p.share ?? 0]));
+}
+
+// { category: multiplier } (cote fixe)
+export function prizeMultipliers(game) {
+  return Object.fromEntries(game.prizes.map((p) => [p.category, p.multiplier ?? 0]));
+}
+
+// meilleure cote du jeu : pire cas d'une ligne = mise x maxMultiplier
+export function maxMultiplier(game) {
+  return game.prizes.reduce((m, p) => Math.max(m, p.multiplier ?? 0), 0);
+}
+
+// pire cas (borne haute) pour un total de mises en cote fixe : chaque ligne gagne la meilleure cote
+export function worstCasePayout(game, stakeUnits) {
+  return applyRate(stakeUnits, maxMultiplier(game));
+}
+
+export function jackpotCategory(game) {
+  return game.prizes.find((p) => p.jackpot)?.category ?? null;
+}
+
+function binomial(n, k) {
+  let r = 1;
+  for (let i = 1; i <= k; i++) r = (r * (n - k + i)) / i;
+  return Math.round(r);
+}
+
+// exposition d'un jeu à cote fixe : mises des paris non réglés (hors rounds déjà ouverts au règlement,
+// dont les gains sont déjà sortis de la réserve) et pire cas correspondant.
+// opts.lock : verrouille la ligne game_bank jusqu'au COMMIT (placement d'un pari : vérifications sérialisées)
+export async function loadExposure(db, game, opts = {}) {
+  const b = await db.query(
+    `SELECT reserve_dos FROM game_bank WHERE id=$1 ${opts.lock ? "FOR UPDATE" : ""}`,
+    [game.id]
+  );
+  const s = await db.query(
+    `SELECT COALESCE(SUM(b.amount), 0) AS stakes
+     FROM bets b
+     WHERE b.game_id=$1 AND b.settled = FALSE
+       AND NOT EXISTS (SELECT 1 FROM round_results rr WHERE rr.round_id = b.round_id)`,
+    [game.id]
+  );
+  const reserve = toUnits(b.rows[0]?.reserve_dos);
+  const openStakes = toUnits(s.rows[0].stakes);
+  const worstCase = worstCasePayout(game, openStakes);
+  return { reserve, openStakes, worstCase, available: reserve - worstCase };
+}
+
+// mise supplémentaire maximale acceptée pour une marge (available) donnée
+export function maxStakeFor(game, availableUnits) {
+  const bp = BigInt(Math.round(maxMultiplier(game) * 10000));
+  if (availableUnits <= 0n || bp === 0n) return 0n;
+  return (availableUnits * 10000n) / bp;
+}
+
+// body admin => { def } | { error } ; montants en DOS
+// prizes[] : { category, matches, chance, share, jackpot? } (POOL) | { category, matches, chance, multiplier } (FIXED)
+export function parseGameDefinition(body) {
+  const code = String(body?.code || "").trim().toLowerCase();
+  if (!/^[a-z][a-z0-9_-]{1,31}$/.test(code)) return { error: "code must be 2..32 chars [a-z0-9_-]" };
+  const name = String(body?.name || "").trim();
+  if (!name || name.length > 80) return { error: "name required (max 80 chars)" };
+
+  const int = (v) => (Number.isInteger(Number(v)) ? Number(v) : NaN);
+  const numsMax = int(body?.numsMax);
+  const drawCount = int(body?.drawCount);
+  const pickMax = int(body?.pickMax ?? body?.drawCount);
+  const chanceMax = int(body?.chanceMax);
+  if (!(numsMax >= 2 && numsMax <= 99)) return { error: "numsMax must be 2..99" };
+  if (!(drawCount >= 1 && drawCount < numsMax && drawCount <= 10)) return { error: "drawCount must be 1..min(10, numsMax - 1)" };
+  if (!(pickMax >= drawCount && pickMax <= numsMax)) return { error: "pickMax must be drawCount..numsMax" };
+  if (!(chanceMax >= 1 && chanceMax <= 20)) return { error: "chanceMax must be 1..20" };
+  if (binomial(pickMax, drawCount) * chanceMax > MAX_LINES_PER_GRID)
+    return { error: `pickMax too large (max ${MAX_LINES_PER_GRID} lines per grid)` };
+
+  const prizeMode = String(body?.prizeMode || "POOL").toUpperCase();
+  if (!PRIZE_MODES.includes(prizeMode)) return { error: `prizeMode must be ${PRIZE_MODES.join(" or ")}` };
+  const fixed = prizeMode === "FIXED";
+
+  // cote fixe : pas de winPool ni de carry, toute la mise va à la réserve
+  const rate = (v) => Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= 1;
+  if (!fixed && !rate(body?.winPoolPercent)) return { error: "winPoolPercent must be 0..1" };
+  if (!fixed && !rate(body?.carryPercent)) return { error: "carryPercent must be 0..1" };
+  const winPoolPercent = fixed ? 0 : Number(body.winPoolPercent);
+  const carryPercent = fixed ? 0 : Number(body.carryPercent);
+  if (winPoolPercent + carryPercent > 1.000001) return { error: "winPoolPercent + carryPercent must be <= 1" };
+
+  const rawPrizes = Array.isArray(body?.prizes) ? body.prizes : [];
+  if (rawPrizes.length < 1 || rawPrizes.length > 20) return { error: "prizes must have 1..20 entries" };
+  const prizes = [];
+  for (const p of rawPrizes) {
+    const category = String(p?.category || "").trim();
+    const matches = int(p?.matches);
+    const chance = p?.chance == null ? null : p.chance === true || p.chance === 1 || p.chance === "1";
+    if (!category || category.length > 16) return { error: "prizes[].category required (max 16 chars)" };
+    if (prizes.some((x) => x.category === category)) return { error: `duplicate category ${category}` };
+    if (!(matches >= 1 && matches <= drawCount)) return { error: `prizes.${category}.matches must be 1..${drawCount}` };
+    if (prizes.some((x) => x.matches === matches && (x.chance == null || chance == null || x.chance === chance)))
+      return { error: `prizes.${category} overlaps another category` };
+    if (fixed) {
+      const multiplier = Number(p?.multiplier);
+      if (!Number.isFinite(multiplier) || multiplier <= 0 || multiplier > MAX_MULTIPLIER)
+        return { error: `prizes.${category}.multiplier must be > 0 and <= ${MAX_MULTIPLIER}` };
+      if (p?.jackpot) return { error: "no jackpot category in FIXED mode" };
+      prizes.push({ category, matches, chance, multiplier });
+      continue;
+    }
+    if (!rate(p?.share)) return { error: `prizes.${category}.share must be 0..1` };
+    prizes.push({ category, matches, chance, share: Number(p.share), ...(p?.jackpot ? { jackpot: true } : {}) });
+  }
+  if (prizes.filter((p) => p.jackpot).length > 1) return { error: "at most one jackpot category" };
+  if (prizes.reduce((s, p) => s + (p.share ?? 0), 0) > 1.000001) return { error: "prizes shares must sum to <= 1" };
+  // tri : meilleures catégories d'abord (plus de numéros, puis chance)
+  prizes.sort((a, b) => b.matches - a.matches || Number(b.chance === true) - Number(a.chance === true));
+
+  let jackpotSeedUnits = 0n;
+  try {
+    jackpotSeedUnits = parseDosToUnits(body?.jackpotSeed ?? "0");
+  } catch {
+    return { error: "jackpotSeed invalid" };
+  }
+  if (jackpotSeedUnits < 0n) return { error: "jackpotSeed invalid" };
+
+  return {
+    def: {
+      code,
+      name,
+      prizeMode,
+      numsMax,
+      drawCount,
+      pickMax,
+      chanceMax,
+      winPoolPercent,
+      carryPercent,
+      prizes,
+      jackpotSeedUnits: fixed ? 0n : jackpotSeedUnits,
+    },
+  };
+}
+
+// nouveau jeu + sa ligne game_bank ; round_base = id x ROUND_SPACE. À appeler dans une transaction.
+export async function insertGame(db, def) {
+  const idR = await db.query(`SELECT nextval(pg_get_serial_sequence('games', 'id')) AS id`);
+  const id = Number(idR.rows[0].id);
+  const r = await db.query(
+    `INSERT INTO games
+       (id, code, name, round_base, nums_max, draw_count, pick_max, chance_max,
+        win_pool_percent, carry_percent, prizes, jackpot_seed_dos, prize_mode)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11::jsonb, $12, $13)
+     RETURNING *`,
+    [
+      id,
+      def.code,
+      def.name,
+      String(id * ROUND_SPACE),
+      def.numsMax,
+      def.drawCount,
+      def.pickMax,
+      def.chanceMax,
+      def.winPoolPercent,
+      def.carryPercent,
+      JSON.stringify(def.prizes),
+      String(def.jackpotSeedUnits),
+      def.prizeMode,
+    ]
+  );
+  const game = rowToGame(r.rows[0]);
+  await db.query(
+    `INSERT INTO game_bank (id) VALUES ($1) ON CONFLICT (id) DO NOTHING`,
+    [game.id]
+  );
+  return game;
+}
+
+export function formatGame(game) {
+  return {
+    id: game.id,
+    code: game.code,
+    name: game.name,
+    status: game.status,
+    prizeMode: game.prizeMode,
+    roundBase: game.roundBase,
+    numsMax: game.numsMax,
+    drawCount: game.drawCount,
+    pickMax: game.pickMax,
+    chanceMax: game.chanceMax,
+    winPoolPercent: game.winPoolPercent,
+    carryPercent: game.carryPercent,
+    prizes: game.prizes,
+    jackpotCategory: jackpotCategory(game),
+    jackpotSeed: formatUnitsToDos(game.jackpotSeedUnits),
+    ...(game.prizeMode === "FIXED" ? { maxMultiplier: maxMultiplier(game) } : {}),
+  };
+}
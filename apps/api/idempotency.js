@@ -0,0 +1,109 @@
+// idempotency.js
+// En-tête Idempotency-Key sur les routes qui bougent de l'argent (pari, redeem, ticket) : un client
+// mobile qui rejoue sa requête après un timeout reçoit la réponse d'origine au lieu de parier deux fois.
+// La clé est réservée (INSERT) puis sa réponse écrite dans la transaction de l'opération :
+//  - deux requêtes concurrentes (même sur deux instances) : la 2e attend le COMMIT / ROLLBACK de la
+//    1re sur la clé primaire, puis rejoue sa réponse ou prend la clé ;
+//  - opération annulée (erreur, ROLLBACK) => pas de clé, le client peut réessayer.
+// Les réponses sont chiffrées (un ticket contient son code, jamais stocké en clair ailleurs).
+import crypto from "crypto";
+
+const KEY_RE = /^[\x21-\x7e]{1,128}$/;
+// champs jamais hashés (le hash de la requête est stocké)
+const SECRET_FIELDS = new Set(["pin"]);
+
+function cipherKey() {
+  const seed = process.env.SECRET_SEED || "";
+  if (!seed || seed.length < 16) throw new Error("SECRET_SEED manquant/trop court");
+  return crypto.createHash("sha256").update(`DDJ-IDEMPOTENCY|${seed}`).digest();
+}
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv("aes-256-gcm", cipherKey(), iv);
+  const data = Buffer.concat([c.update(text, "utf8"), c.final()]);
+  return Buffer.concat([iv, c.getAuthTag(), data]).toString("base64");
+}
+
+function decrypt(b64) {
+  const buf = Buffer.from(b64, "base64");
+  const d = crypto.createDecipheriv("aes-256-gcm", cipherKey(), buf.subarray(0, 12));
+  d.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([d.update(buf.subarray(28)), d.final()]).toString("utf8");
+}
+
+// JSON à clés triées : même payload => même hash quel que soit l'ordre des champs
+function canonical(v) {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .filter((k) => !SECRET_FIELDS.has(k) && v[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+// => null (pas d'en-tête) | { error } | { playerId, endpoint, key, hash }
+export function idempotencyRequest(req, endpoint, playerId) {
+  const key = req.get("idempotency-key");
+  if (key == null || key === "") return null;
+  if (!KEY_RE.test(key)) return { error: "Idempotency-Key must be 1-128 printable ASCII chars" };
+  const hash = crypto.createHash("sha256").update(canonical(req.body || {})).digest("hex");
+  return { playerId: String(playerId), endpoint, key, hash };
+}
+
+// réponse déjà enregistrée pour cette clé (non expirée) => { status, body, replayed } | null
+export async function findIdempotentResponse(db, idem) {
+  const r = await db.query(
+    `SELECT request_hash, response_status, response_body
+     FROM idempotency_keys
+     WHERE player_id=$1 AND endpoint=$2 AND key=$3 AND expires_at > NOW()`,
+    [idem.playerId, idem.endpoint, idem.key]
+  );
+  if (r.rowCount === 0 || r.rows[0].response_status == null) return null;
+  const row = r.rows[0];
+  if (row.request_hash !== idem.hash) {
+    return { status: 422, body: { error: "Idempotency-Key reused with a different payload" } };
+  }
+  return { status: row.response_status, body: JSON.parse(decrypt(row.response_body)), replayed: true };
+}
+
+// réserve la clé dans la transaction de `db` (une clé expirée est reprise)
+// => null (clé à nous : faire l'opération) | { status, body } (déjà faite ou payload différent)
+export async function claimIdempotencyKey(db, idem, ttlMs) {
+  const r = await db.query(
+    `INSERT INTO idempotency_keys (player_id, endpoint, key, request_hash, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + ($5::bigint * INTERVAL '1 millisecond'))
+     ON CONFLICT (player_id, endpoint, key) DO UPDATE
+       SET request_hash = EXCLUDED.request_hash, response_status = NULL, response_body = NULL,
+           created_at = NOW(), expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at <= NOW()
+     RETURNING key`,
+    [idem.playerId, idem.endpoint, idem.key, idem.hash, String(ttlMs)]
+  );
+  if (r.rowCount === 1) return null;
+  return (
+    (await findIdempotentResponse(db, idem)) || { status: 409, body: { error: "request with this Idempotency-Key in progress" } }
+  );
+}
+
+// à appeler avant le COMMIT de l'opération
+export async function saveIdempotentResponse(db, idem, status, body) {
+  await db.query(
+    `UPDATE idempotency_keys SET response_status=$4, response_body=$5
+     WHERE player_id=$1 AND endpoint=$2 AND key=$3`,
+    [idem.playerId, idem.endpoint, idem.key, status, encrypt(JSON.stringify(body))]
+  );
+}
+
+export function sendIdempotent(res, r) {
+  if (r.replayed) res.set("Idempotent-Replayed", "true");
+  return res.status(r.status).json(r.body);
+}
+
+export async function pruneIdempotencyKeys(db) {
+  const r = await db.query(`DELETE FROM idempotency_keys WHERE expires_at <= NOW()`);
+  return r.rowCount;
+}
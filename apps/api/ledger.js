@@ -0,0 +1,153 @@
+// ledger.js
+// Toute variation de players.balance_dos passe par applyBalanceChanges : l'UPDATE du solde et
+// l'écriture dos_ledger (avec solde avant / après) dans la même requête, donc dans la transaction
+// de l'appelant ; le ledger d'un joueur explique ainsi son solde (cf reconcile).
+import { ROUND_SPACE } from "./games.js";
+import { formatUnitsToDos, toUnits } from "./money.js";
+
+// changes = [{ playerId, amount (BigInt, signé), meta?, event? }] : un joueur au plus une fois.
+// event : champs ajoutés au balance.changed du joueur ({ reason: type, balance, ...event }),
+// false = pas d'événement (l'appelant publie lui-même, ex. règlement groupé).
+// => [{ playerId, ledgerId, before, after }] dans l'ordre de changes
+export async function applyBalanceChanges(db, events, type, changes) {
+  if (!changes.length) return [];
+  const ids = changes.map((ch) => String(ch.playerId));
+  if (new Set(ids).size !== ids.length) throw new Error(`ledger ${type}: duplicate player in one batch`);
+
+  const r = await db.query(
+    `WITH x AS (
+       SELECT * FROM unnest($2::bigint[], $3::bigint[], $4::jsonb[]) WITH ORDINALITY AS x(player_id, amount, meta, n)
+     ), upd AS (
+       UPDATE players p SET balance_dos = p.balance_dos + x.amount
+       FROM x
+       WHERE p.id = x.player_id
+       RETURNING p.id, p.balance_dos - x.amount AS before, p.balance_dos AS after, x.amount, x.meta, x.n
+     ), led AS (
+       INSERT INTO dos_ledger (player_id, type, amount, balance_before, balance_after, meta)
+       SELECT id, $1, amount, before, after, meta FROM upd ORDER BY n
+       RETURNING id, player_id
+     )
+     SELECT upd.id AS player_id, led.id AS ledger_id, upd.before, upd.after
+     FROM upd JOIN led ON led.player_id = upd.id
+     ORDER BY upd.n`,
+    [
+      type,
+      ids,
+      changes.map((ch) => String(ch.amount)),
+      changes.map((ch) => JSON.stringify(ch.meta || {})),
+    ]
+  );
+  if (r.rows.length !== changes.length) throw new Error(`ledger ${type}: player not found`);
+
+  const out = r.rows.map((row) => ({
+    playerId: String(row.player_id),
+    ledgerId: row.ledger_id,
+    before: toUnits(row.before),
+    after: toUnits(row.after),
+  }));
+
+  const evs = [];
+  changes.forEach((ch, i) => {
+    if (ch.event === false) return;
+    evs.push({
+      type: "balance.changed",
+      playerId: ch.playerId,
+      payload: { balance: formatUnitsToDos(out[i].after), reason: type, ...(ch.event || {}) },
+    });
+  });
+  if (evs.length === 1) await events.publish(db, evs[0].type, evs[0].payload, { playerId: evs[0].playerId });
+  else if (evs.length) await events.publishMany(db, evs);
+
+  return out;
+}
+
+// un seul joueur => { playerId, ledgerId, before, after }
+export async function applyBalanceChange(db, events, { playerId, type, amount, meta, event }) {
+  const [row] = await applyBalanceChanges(db, events, type, [{ playerId, amount, meta, event }]);
+  return row;
+}
+
+// admin_ledger par compte de game_bank (game_id) :
+// - admin_balance_dos = somme des ADMIN_ACCOUNT_TYPES
+// - reserve_dos = RESERVE (+ ajustements) - mouvements admin -> réserve (écrits côté admin, signe inverse)
+// - carry_dos = montant de la dernière écriture CARRY (niveau, pas un delta)
+// - jackpot_dos = jackpot_after de la dernière ligne de jackpot_history du jeu
+export const ADMIN_ACCOUNT_TYPES = ["ADMIN_TAKE", "JACKPOT_SEED", "RESERVE_DEPOSIT", "RESERVE_WITHDRAW", "ADMIN_ADJUSTMENT"];
+export const RESERVE_ACCOUNT_TYPES = ["RESERVE", "RESERVE_ADJUSTMENT"];
+export const RESERVE_TRANSFER_TYPES = ["RESERVE_DEPOSIT", "RESERVE_WITHDRAW"];
+
+const GAME_LEDGER_SQL = `
+  SELECT g.id, g.code, g.round_base,
+         b.admin_balance_dos, b.reserve_dos, b.carry_dos, b.jackpot_dos,
+         COALESCE(SUM(l.amount) FILTER (WHERE l.type = ANY($1::text[])), 0) AS admin_expected,
+         COALESCE(SUM(l.amount) FILTER (WHERE l.type = ANY($2::text[])), 0)
+           - COALESCE(SUM(l.amount) FILTER (WHERE l.type = ANY($3::text[])), 0) AS reserve_expected,
+         (SELECT c.amount FROM admin_ledger c
+          WHERE c.game_id = g.id AND c.type = 'CARRY' ORDER BY c.id DESC LIMIT 1) AS carry_expected,
+         (SELECT j.jackpot_after FROM jackpot_history j
+          WHERE j.round_id >= g.round_base AND j.round_id < g.round_base + $4::bigint
+          ORDER BY j.id DESC LIMIT 1) AS jackpot_expected
+  FROM games g
+  JOIN game_bank b ON b.id = g.id
+  LEFT JOIN admin_ledger l ON l.game_id = g.id
+  GROUP BY g.id, g.code, g.round_base, b.admin_balance_dos, b.reserve_dos, b.carry_dos, b.jackpot_dos
+  ORDER BY g.id`;
+
+// Rapprochement : ledger joueur vs solde, admin_ledger (+ jackpot_history) vs game_bank.
+// Ne modifie rien ; drift = solde réel - solde attendu d'après le ledger.
+export async function reconcile(db, { limit = 100 } = {}) {
+  const playersR = await db.query(
+    `SELECT p.id, p.username, p.type, p.balance_dos, COALESCE(l.total, 0) AS ledger_total, l.entries
+     FROM players p
+     LEFT JOIN (
+       SELECT player_id, SUM(amount) AS total, COUNT(*) AS entries FROM dos_ledger GROUP BY player_id
+     ) l ON l.player_id = p.id
+     WHERE p.balance_dos <> COALESCE(l.total, 0)
+     ORDER BY abs(p.balance_dos - COALESCE(l.total, 0)) DESC, p.id ASC`
+  );
+  const countR = await db.query(`SELECT COUNT(*) AS n FROM players`);
+  const players = playersR.rows.slice(0, limit).map((row) => ({
+    playerId: String(row.id),
+    username: row.username,
+    type: row.type,
+    balance: formatUnitsToDos(row.balance_dos),
+    ledger: formatUnitsToDos(row.ledger_total),
+    drift: formatUnitsToDos(toUnits(row.balance_dos) - toUnits(row.ledger_total)),
+    entries: Number(row.entries || 0),
+  }));
+
+  const gamesR = await db.query(GAME_LEDGER_SQL, [
+    ADMIN_ACCOUNT_TYPES,
+    RESERVE_ACCOUNT_TYPES,
+    RESERVE_TRANSFER_TYPES,
+    String(ROUND_SPACE),
+  ]);
+  const games = [];
+  for (const row of gamesR.rows) {
+    const accounts = [
+      ["admin", row.admin_balance_dos, row.admin_expected],
+      ["reserve", row.reserve_dos, row.reserve_expected],
+      ["carry", row.carry_dos, row.carry_expected ?? 0],
+      // pas encore d'historique (jeu jamais réglé) => rien à comparer
+      ["jackpot", row.jackpot_dos, row.jackpot_expected],
+    ];
+    const drifts = accounts
+      .filter(([, , expected]) => expected != null)
+      .map(([account, actual, expected]) => ({ account, actual: toUnits(actual), expected: toUnits(expected) }))
+      .filter((a) => a.actual !== a.expected)
+      .map((a) => ({
+        account: a.account,
+        bank: formatUnitsToDos(a.actual),
+        ledger: formatUnitsToDos(a.expected),
+        drift: formatUnitsToDos(a.actual - a.expected),
+      }));
+    if (drifts.length) games.push({ game: row.code, drifts });
+  }
+
+  return {
+    ok: playersR.rows.length === 0 && games.length === 0,
+    checkedAt: new Date().toISOString(),
+    players: { checked: Number(countR.rows[0].n), drifting: playersR.rows.length, drifts: players },
+    games: { checked: gamesR.rows.length, drifting: games.length, drifts: games },
+  };
+}
@@ -0,0 +1,166 @@
+// lockout.js
+// Anti force brute : compteurs de tentatives en base (partagés entre instances) par scope
+// (PIN, GIFT = codes cadeau, TICKET = codes de ticket) et par sujet : le compte visé ("player:<id>")
+// et l'IP ("ip:<adresse>", seuil plus haut : NAT des opérateurs mobiles).
+// La tentative est réservée AVANT la vérification (reserveAttempt : +1 sous verrou de ligne), donc
+// des requêtes parallèles ne passent pas toutes entre le contrôle et le comptage de l'échec.
+// La tentative qui atteint le seuil pose déjà le blocage (BASE x 2^(tentatives - seuil) secondes,
+// plafonné) : elle seule est vérifiée, les suivantes reçoivent 429 jusqu'à son expiration.
+// Un succès remet le compteur du compte à zéro et rend la tentative à l'IP ; une requête qui
+// s'arrête avant la vérification rend sa tentative (cancelAttempt). Sans tentative pendant
+// LOCKOUT_RESET_HOURS, un compteur repart de zéro.
+
+export const LOCKOUT_SCOPES = ["PIN", "GIFT", "TICKET"];
+
+const ACCOUNT_MAX_ATTEMPTS = parseInt(process.env.LOCKOUT_MAX_ATTEMPTS || "5", 10);
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOCKOUT_IP_MAX_ATTEMPTS || "20", 10);
+const BASE_SECONDS = parseInt(process.env.LOCKOUT_BASE_SECONDS || "60", 10);
+const MAX_SECONDS = parseInt(process.env.LOCKOUT_MAX_SECONDS || "86400", 10);
+const RESET_HOURS = parseInt(process.env.LOCKOUT_RESET_HOURS || "24", 10);
+
+export const playerSubject = (playerId) => `player:${playerId}`;
+export const ipSubject = (ip) => `ip:${ip}`;
+
+// sujets d'une tentative : compte visé (s'il est connu) + IP du client
+export function lockoutSubjects(req, playerId = null) {
+  const subjects = [];
+  if (playerId != null) subjects.push(playerSubject(playerId));
+  if (req.ip) subjects.push(ipSubject(req.ip));
+  return subjects;
+}
+
+function lockedError(scope, lockedUntil) {
+  const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+  return { status: 429, error: "too many failed attempts", code: "LOCKED_OUT", scope, retryAfter };
+}
+
+// réserve une tentative pour chaque sujet, avant de vérifier le PIN / le code (pool : transaction
+// courte à part, la réservation reste comptée même si la route fait ROLLBACK)
+// => { locked } (un sujet est bloqué : 429, rien n'est compté)
+//  | { scope, subjects, lock, ... } : tentative à vérifier ; lock = 429 à renvoyer si elle échoue
+export async function reserveAttempt(pool, scope, subjects) {
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    await c.query(
+      `INSERT INTO auth_attempts (scope, subject, failures)
+       SELECT $1, s, 0 FROM unnest($2::text[]) AS s
+       ON CONFLICT (scope, subject) DO NOTHING`,
+      [scope, subjects]
+    );
+    // verrou de ligne : les réservations concurrentes d'un même sujet passent l'une après l'autre
+    const r = await c.query(
+      `SELECT subject, failures, locked_until,
+              locked_until > NOW() AS locked,
+              last_failure_at < NOW() - ($3::int * INTERVAL '1 hour') AS stale
+       FROM auth_attempts
+       WHERE scope=$1 AND subject = ANY($2::text[])
+       ORDER BY subject
+       FOR UPDATE`,
+      [scope, subjects, RESET_HOURS]
+    );
+    const blocked = r.rows.filter((row) => row.locked);
+    if (blocked.length) {
+      await c.query("ROLLBACK");
+      const until = Math.max(...blocked.map((row) => new Date(row.locked_until).getTime()));
+      return { locked: lockedError(scope, until) };
+    }
+
+    const attempt = { scope, subjects, lock: null, locks: {} };
+    for (const row of r.rows) {
+      const failures = row.stale ? 1 : row.failures + 1;
+      const max = row.subject.startsWith("ip:") ? IP_MAX_ATTEMPTS : ACCOUNT_MAX_ATTEMPTS;
+      const seconds =
+        failures >= max ? Math.min(MAX_SECONDS, BASE_SECONDS * 2 ** Math.min(failures - max, 30)) : null;
+      const u = await c.query(
+        `UPDATE auth_attempts
+         SET failures = $3, last_failure_at = NOW(),
+             locked_until = NOW() + ($4::int * INTERVAL '1 second')
+         WHERE scope=$1 AND subject=$2
+         RETURNING locked_until, locked_until::text AS lock_token`,
+        [scope, row.subject, failures, seconds]
+      );
+      if (seconds == null) continue;
+      // blocage posé par cette tentative : retiré si elle n'est finalement pas un échec
+      attempt.locks[row.subject] = u.rows[0].lock_token;
+      const l = lockedError(scope, u.rows[0].locked_until);
+      if (!attempt.lock || l.retryAfter > attempt.lock.retryAfter) attempt.lock = l;
+    }
+    await c.query("COMMIT");
+    return attempt;
+  } catch (e) {
+    await c.query("ROLLBACK");
+    throw e;
+  } finally {
+    c.release();
+  }
+}
+
+// rend la tentative aux sujets (sauf ceux de `except`) et retire le blocage qu'elle avait posé
+async function releaseSubjects(db, attempt, except = []) {
+  const subjects = attempt.subjects.filter((s) => !except.includes(s));
+  if (!subjects.length) return;
+  await db.query(
+    `UPDATE auth_attempts a
+     SET failures = GREATEST(a.failures - 1, 0),
+         locked_until = CASE WHEN a.locked_until = x.lock::timestamptz THEN NULL ELSE a.locked_until END
+     FROM unnest($2::text[], $3::text[]) AS x(subject, lock)
+     WHERE a.scope=$1 AND a.subject = x.subject`,
+    [attempt.scope, subjects, subjects.map((s) => attempt.locks[s] ?? null)]
+  );
+}
+
+// tentative vérifiée avec succès : le compte repart de zéro, l'IP récupère sa tentative
+export async function attemptSucceeded(db, attempt) {
+  const accounts = attempt.subjects.filter((s) => s.startsWith("player:"));
+  if (accounts.length) {
+    await db.query(`DELETE FROM auth_attempts WHERE scope=$1 AND subject = ANY($2::text[])`, [
+      attempt.scope,
+      accounts,
+    ]);
+  }
+  await releaseSubjects(db, attempt, accounts);
+}
+
+// requête arrêtée avant la vérification (compte introuvable, rejeu, ...) : tentative rendue
+export async function cancelAttempt(db, attempt) {
+  await releaseSubjects(db, attempt);
+}
+
+// admin (réinitialisation du PIN) : le compte repart de zéro
+export async function clearFailures(db, scope, subject) {
+  await db.query(`DELETE FROM auth_attempts WHERE scope=$1 AND subject=$2`, [scope, subject]);
+}
+
+// admin : sujets bloqués (ou tous les compteurs avec all)
+export async function listLockouts(db, { all = false, limit = 200 } = {}) {
+  const r = await db.query(
+    `SELECT a.scope, a.subject, a.failures, a.last_failure_at, a.locked_until,
+            (a.locked_until IS NOT NULL AND a.locked_until > NOW()) AS locked,
+            p.username
+     FROM auth_attempts a
+     LEFT JOIN players p ON a.subject LIKE 'player:%' AND p.id::text = substr(a.subject, 8)
+     WHERE $1::boolean OR a.locked_until > NOW()
+     ORDER BY a.locked_until DESC NULLS LAST, a.last_failure_at DESC
+     LIMIT $2`,
+    [all, limit]
+  );
+  return r.rows.map((row) => ({
+    scope: row.scope,
+    subject: row.subject,
+    username: row.username,
+    failures: row.failures,
+    locked: row.locked,
+    lockedUntil: row.locked_until,
+    lastFailureAt: row.last_failure_at,
+  }));
+}
+
+// admin : efface les compteurs d'un sujet (tous scopes, ou un seul) => nombre supprimé
+export async function clearLockout(db, subject, scope = null) {
+  const r = await db.query(
+    `DELETE FROM auth_attempts WHERE subject=$1 AND ($2::text IS NULL OR scope=$2)`,
+    [subject, scope]
+  );
+  return r.rowCount;
+}
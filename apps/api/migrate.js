@@ -0,0 +1,146 @@
+// migrate.js
+// Migrations versionnées : migrations/NNN_nom.sql (ou .js qui exporte up(client) quand il faut
+// du code, ex: lire DOS_UNIT), appliquées dans l'ordre, une transaction chacune.
+// CLI : node --env-file=.env migrate.js [up|status]
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+
+import { pool } from "./db.js";
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+// plusieurs instances qui bootent en même temps => une seule migre, les autres attendent
+const MIGRATION_LOCK_KEY = 0x0dd1d8;
+
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter((f) => /^\d+_.+\.(sql|js)$/.test(f)).sort();
+  const seen = new Set();
+  return files.map((file) => {
+    const version = parseInt(file, 10);
+    if (seen.has(version)) throw new Error(`duplicate migration version ${version} (${file})`);
+    seen.add(version);
+    const source = fs.readFileSync(path.join(dir, file), "utf8");
+    return {
+      version,
+      name: file.replace(/^\d+_/, "").replace(/\.(sql|js)$/, ""),
+      file,
+      path: path.join(dir, file),
+      source,
+      checksum: crypto.createHash("sha256").update(source).digest("hex"),
+    };
+  });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function appliedMigrations(client) {
+  const r = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC`
+  );
+  return new Map(r.rows.map((row) => [Number(row.version), row]));
+}
+
+// applique toutes les migrations en attente, renvoie la liste des versions appliquées
+export async function migrateUp() {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      const applied = await appliedMigrations(client);
+      const done = [];
+
+      for (const m of migrations) {
+        const prev = applied.get(m.version);
+        if (prev) {
+          if (prev.checksum !== m.checksum) {
+            console.warn(`⚠️ migration ${m.file} modified after being applied (checksum mismatch)`);
+          }
+          continue;
+        }
+
+        try {
+          await client.query("BEGIN");
+          if (m.file.endsWith(".js")) {
+            const mod = await import(pathToFileURL(m.path).href);
+            await mod.up(client);
+          } else {
+            await client.query(m.source);
+          }
+          await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+            [m.version, m.name, m.checksum]
+          );
+          await client.query("COMMIT");
+        } catch (e) {
+          await client.query("ROLLBACK");
+          throw new Error(`migration ${m.file} failed: ${e?.message || e}`);
+        }
+        console.log(`✅ migration ${m.file} applied`);
+        done.push(m.version);
+      }
+
+      return done;
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// état de chaque migration : applied | pending | modified
+export async function migrationStatus() {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+    return migrations.map((m) => {
+      const prev = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        status: !prev ? "pending" : prev.checksum === m.checksum ? "applied" : "modified",
+        appliedAt: prev?.applied_at || null,
+      };
+    });
+  } finally {
+    client.release();
+  }
+}
+
+async function main(cmd = "up") {
+  if (cmd === "up") {
+    const done = await migrateUp();
+    console.log(done.length ? `✅ ${done.length} migration(s) applied` : "✅ schema up to date");
+  } else if (cmd === "status") {
+    for (const m of await migrationStatus()) {
+      const at = m.appliedAt ? new Date(m.appliedAt).toISOString() : "";
+      console.log(`${String(m.version).padStart(3, "0")}  ${m.status.padEnd(8)}  ${m.name}  ${at}`);
+    }
+  } else {
+    throw new Error(`unknown command "${cmd}" (expected: up | status)`);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv[2])
+    .then(() => pool.end())
+    .catch(async (e) => {
+      console.error("❌ migrate:", e?.message || e);
+      await pool.end();
+      process.exit(1);
+    });
+}
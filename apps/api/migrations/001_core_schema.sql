@@ -0,0 +1,112 @@
+-- 001_core_schema.sql
+-- Schéma de base réellement utilisé par server.js.
+-- Idempotent (IF NOT EXISTS) : s'applique aussi sur une base créée par l'ancien initDb.js.
+
+-- players
+CREATE TABLE IF NOT EXISTS players (
+  id BIGSERIAL PRIMARY KEY,
+  username TEXT UNIQUE NOT NULL,
+  balance_dos BIGINT NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'ACTIVE',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS pin_hash TEXT NULL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'PLAYER'; -- PLAYER | MERCHANT | ADMIN
+
+-- ledger joueur
+CREATE TABLE IF NOT EXISTS dos_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  player_id BIGINT REFERENCES players(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  amount BIGINT NOT NULL,
+  meta JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_dos_ledger_player ON dos_ledger(player_id);
+
+-- ledger admin (carry, admin take)
+CREATE TABLE IF NOT EXISTS admin_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  amount BIGINT NOT NULL,
+  meta JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- gift codes
+CREATE TABLE IF NOT EXISTS gift_codes (
+  id BIGSERIAL PRIMARY KEY,
+  code_hash TEXT UNIQUE NOT NULL,
+  value_dos BIGINT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'ACTIVE',
+  expires_at TIMESTAMPTZ NULL,
+  redeemed_by BIGINT NULL REFERENCES players(id) ON DELETE SET NULL,
+  redeemed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_gift_codes_status ON gift_codes(status);
+
+-- bank (carry + solde admin)
+CREATE TABLE IF NOT EXISTS game_bank (
+  id INT PRIMARY KEY,
+  carry_dos BIGINT NOT NULL DEFAULT 0,
+  admin_balance_dos BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+INSERT INTO game_bank (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+-- rounds : totaux + audit (une ligne par round réglé)
+CREATE TABLE IF NOT EXISTS rounds (
+  round_id BIGINT PRIMARY KEY,
+  draw_nums INT[] NULL,
+  draw_chance INT NULL,
+  total_bets_dos BIGINT NOT NULL DEFAULT 0,
+  pot_total_dos BIGINT NOT NULL DEFAULT 0,
+  admin_take_dos BIGINT NOT NULL DEFAULT 0,
+  carry_in_dos BIGINT NOT NULL DEFAULT 0,
+  carry_out_dos BIGINT NOT NULL DEFAULT 0,
+  settled_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_rounds_settled ON rounds(settled_at);
+
+-- résultat du tirage (anti double-settle)
+CREATE TABLE IF NOT EXISTS round_results (
+  round_id BIGINT PRIMARY KEY,
+  outcome JSONB NOT NULL,
+  settled_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- bets = 1 combinaison (4 nums + 1 chance)
+-- colonnes ajoutées une à une : compatible avec les anciens paris A/B
+CREATE TABLE IF NOT EXISTS bets (
+  id BIGSERIAL PRIMARY KEY,
+  player_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  round_id BIGINT NOT NULL,
+  amount BIGINT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS nums INT[];
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS chance INT;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS choice TEXT;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS category TEXT;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS payout_dos BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS settled BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_bets_round ON bets(round_id);
+CREATE INDEX IF NOT EXISTS idx_bets_player ON bets(player_id);
+
+-- tickets de transfert joueur -> marchand (montants en unités, cf DOS_UNIT)
+CREATE TABLE IF NOT EXISTS transfer_tickets (
+  id BIGSERIAL PRIMARY KEY,
+  code_hash TEXT UNIQUE NOT NULL,
+  from_player_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  to_merchant_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  amount_units BIGINT NOT NULL,
+  fee_units BIGINT NOT NULL,
+  net_units BIGINT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'OPEN', -- OPEN | REDEEMED | EXPIRED
+  expires_at TIMESTAMPTZ NOT NULL,
+  redeemed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_transfer_tickets_status ON transfer_tickets(status, expires_at);
@@ -0,0 +1,10 @@
+-- 002_round_seeds.sql
+-- Provably fair : seed par round (commit = seed_hash, reveal = server_seed après settle)
+CREATE TABLE IF NOT EXISTS round_seeds (
+  round_id BIGINT PRIMARY KEY,
+  server_seed TEXT NOT NULL,
+  seed_hash TEXT NOT NULL,
+  client_seed TEXT NULL,
+  revealed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
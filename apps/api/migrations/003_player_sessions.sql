@@ -0,0 +1,12 @@
+-- 003_player_sessions.sql
+-- Sessions joueur (refresh token hashé + révocation)
+CREATE TABLE IF NOT EXISTS player_sessions (
+  id TEXT PRIMARY KEY,
+  player_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  refresh_hash TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ NULL,
+  last_used_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_player_sessions_player ON player_sessions(player_id);
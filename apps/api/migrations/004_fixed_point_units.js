@@ -0,0 +1,73 @@
+// 004_fixed_point_units.js
+// Passage de tous les montants en unités (cf money.js).
+// Avant : tickets en unités, mais bets / redeem / bonus / settle en DOS entiers
+// sur la même colonne players.balance_dos.
+import { DOS_UNIT } from "../money.js";
+
+export async function up(client) {
+  const unit = DOS_UNIT.toString();
+  const adminUsername = process.env.ADMIN_USERNAME || "ADMIN";
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS money_settings (
+      id INT PRIMARY KEY,
+      dos_unit BIGINT NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Solde : la part venue des tickets est déjà en unités, le reste est en DOS entiers.
+  // new = (old - ticketUnits) * DOS_UNIT + ticketUnits = old * DOS_UNIT - ticketUnits * (DOS_UNIT - 1)
+  // (ticket EXPIRED = débit puis refund => net 0, on l'ignore)
+  await client.query(`UPDATE players SET balance_dos = balance_dos * $1::bigint`, [unit]);
+  await client.query(
+    `WITH t AS (
+       SELECT pid, SUM(delta) AS units FROM (
+         SELECT from_player_id AS pid, -amount_units AS delta
+         FROM transfer_tickets WHERE status <> 'EXPIRED'
+         UNION ALL
+         SELECT to_merchant_id, net_units
+         FROM transfer_tickets WHERE status = 'REDEEMED'
+         UNION ALL
+         SELECT a.id, tt.fee_units
+         FROM transfer_tickets tt JOIN players a ON a.username = $2
+         WHERE tt.status = 'REDEEMED'
+       ) x
+       GROUP BY pid
+     )
+     UPDATE players p
+     SET balance_dos = p.balance_dos - t.units * ($1::bigint - 1)
+     FROM t
+     WHERE t.pid = p.id`,
+    [unit, adminUsername]
+  );
+
+  // tout le reste était en DOS entiers
+  await client.query(`UPDATE dos_ledger SET amount = amount * $1::bigint`, [unit]);
+  await client.query(`UPDATE admin_ledger SET amount = amount * $1::bigint`, [unit]);
+  await client.query(`UPDATE gift_codes SET value_dos = value_dos * $1::bigint`, [unit]);
+  await client.query(
+    `UPDATE bets SET amount = amount * $1::bigint, payout_dos = payout_dos * $1::bigint`,
+    [unit]
+  );
+  await client.query(
+    `UPDATE game_bank
+     SET carry_dos = carry_dos * $1::bigint, admin_balance_dos = admin_balance_dos * $1::bigint`,
+    [unit]
+  );
+  await client.query(
+    `UPDATE rounds
+     SET total_bets_dos = total_bets_dos * $1::bigint,
+         pot_total_dos = pot_total_dos * $1::bigint,
+         admin_take_dos = admin_take_dos * $1::bigint,
+         carry_in_dos = carry_in_dos * $1::bigint,
+         carry_out_dos = carry_out_dos * $1::bigint`,
+    [unit]
+  );
+
+  await client.query(
+    `INSERT INTO money_settings (id, dos_unit) VALUES (1, $1)
+     ON CONFLICT (id) DO UPDATE SET dos_unit = EXCLUDED.dos_unit, updated_at = NOW()`,
+    [unit]
+  );
+}
@@ -0,0 +1,17 @@
+-- 005_jackpot.sql
+-- Jackpot progressif de la catégorie "4+1"
+ALTER TABLE game_bank ADD COLUMN IF NOT EXISTS jackpot_dos BIGINT NOT NULL DEFAULT 0;
+
+-- historique : CONTRIBUTION (chaque round), WIN (par pari gagnant), SEED (réamorçage après un gain)
+CREATE TABLE IF NOT EXISTS jackpot_history (
+  id BIGSERIAL PRIMARY KEY,
+  round_id BIGINT NOT NULL,
+  type TEXT NOT NULL,
+  amount BIGINT NOT NULL,
+  jackpot_after BIGINT NOT NULL,
+  bet_id BIGINT NULL,
+  player_id BIGINT NULL REFERENCES players(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_jackpot_history_round ON jackpot_history(round_id);
+CREATE INDEX IF NOT EXISTS idx_jackpot_history_type ON jackpot_history(type, id);
@@ -0,0 +1,12 @@
+-- 006_events.sql
+-- Journal des événements temps réel (SSE) : l'id sert de Last-Event-ID pour reprendre après reconnexion.
+-- player_id NULL = événement public ; sinon visible uniquement par ce joueur.
+CREATE TABLE IF NOT EXISTS events (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  player_id BIGINT NULL REFERENCES players(id) ON DELETE CASCADE,
+  dedupe_key TEXT UNIQUE NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_events_created ON events(created_at);
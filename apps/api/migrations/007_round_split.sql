@@ -0,0 +1,9 @@
+-- 007_round_split.sql
+-- Détail du split par round (pour /api/rounds) : winPool, carry issu des mises, non réclamé, jackpot
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS win_pool_dos BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS carry_from_bets_dos BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS unclaimed_dos BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS jackpot_contribution_dos BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS winners_count INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_bets_round_category ON bets(round_id, category);
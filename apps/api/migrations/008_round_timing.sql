@@ -0,0 +1,16 @@
+-- 008_round_timing.sql
+-- Config de timing versionnée. Chaque version s'applique à partir d'un round (frontière de round) :
+-- round N (N >= effective_round_id) commence à effective_at_ms + (N - effective_round_id) * round_seconds * 1000
+-- => les rounds passés et courant ne sont jamais renumérotés.
+CREATE TABLE IF NOT EXISTS round_timing_config (
+  version SERIAL PRIMARY KEY,
+  effective_round_id BIGINT NOT NULL,
+  effective_at_ms BIGINT NOT NULL,
+  round_seconds INT NOT NULL,
+  close_bets_at INT NOT NULL,
+  note TEXT NULL,
+  cancelled_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_round_timing_active_round
+  ON round_timing_config(effective_round_id) WHERE cancelled_at IS NULL;
@@ -0,0 +1,19 @@
+-- 009_system_bets.sql
+-- Pari "système" : 5..8 numéros et/ou plusieurs chances, développé en toutes les combinaisons
+-- 4 numéros x chance. Chaque combinaison est une ligne de `bets` (1 combinaison, cf 001) réglée
+-- seule ; bet_systems garde la grille jouée et le coût total.
+CREATE TABLE IF NOT EXISTS bet_systems (
+  id BIGSERIAL PRIMARY KEY,
+  player_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  round_id BIGINT NOT NULL,
+  nums INT[] NOT NULL,
+  chances INT[] NOT NULL,
+  lines INT NOT NULL,
+  stake_per_line BIGINT NOT NULL,
+  total_amount BIGINT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_bet_systems_player ON bet_systems(player_id, round_id);
+
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS system_id BIGINT NULL REFERENCES bet_systems(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_bets_system ON bets(system_id) WHERE system_id IS NOT NULL;
@@ -0,0 +1,27 @@
+-- 010_bet_subscriptions.sql
+-- Abonnement multi-tirages : la même grille jouée automatiquement sur N rounds consécutifs.
+-- UPFRONT : N x coût débité à la création (prepaid_remaining = ce qui reste à jouer, remboursé à l'annulation)
+-- PER_ROUND : débité à chaque round, l'abonnement s'arrête si le solde ne suffit plus.
+CREATE TABLE IF NOT EXISTS bet_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  player_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  nums INT[] NOT NULL,
+  chances INT[] NOT NULL,
+  stake_per_line BIGINT NOT NULL,
+  lines INT NOT NULL,
+  cost_per_round BIGINT NOT NULL,
+  draws INT NOT NULL,
+  draws_placed INT NOT NULL DEFAULT 0,
+  payment TEXT NOT NULL CHECK (payment IN ('UPFRONT', 'PER_ROUND')),
+  prepaid_remaining BIGINT NOT NULL DEFAULT 0,
+  next_round_id BIGINT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'ACTIVE', -- ACTIVE | COMPLETED | CANCELLED | STOPPED
+  stop_reason TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMPTZ NULL
+);
+CREATE INDEX IF NOT EXISTS idx_bet_subscriptions_player ON bet_subscriptions(player_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bet_subscriptions_due ON bet_subscriptions(next_round_id) WHERE status = 'ACTIVE';
+
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS subscription_id BIGINT NULL REFERENCES bet_subscriptions(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_bets_subscription ON bets(subscription_id) WHERE subscription_id IS NOT NULL;
@@ -0,0 +1,11 @@
+-- 011_favourite_grids.sql
+-- Grilles favorites nommées d'un joueur (rejouables en un clic, seules ou plusieurs à la fois)
+CREATE TABLE IF NOT EXISTS favourite_grids (
+  id BIGSERIAL PRIMARY KEY,
+  player_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  nums INT[] NOT NULL,
+  chances INT[] NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (player_id, name)
+);
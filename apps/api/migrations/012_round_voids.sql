@@ -0,0 +1,12 @@
+-- 012_round_voids.sql
+-- Round annulé par un admin : toutes les mises non réglées sont remboursées, le round ne sera jamais réglé.
+CREATE TABLE IF NOT EXISTS round_voids (
+  round_id BIGINT PRIMARY KEY,
+  reason TEXT NOT NULL,
+  voided_by TEXT NOT NULL,
+  refunded_bets INT NOT NULL DEFAULT 0,
+  refunded_dos BIGINT NOT NULL DEFAULT 0,
+  voided_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS refunded BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,31 @@
+-- 013_settlement_runs.sql
+-- Règlement par tranches (settlement.js) : l'ouverture fige le tirage et les gains par pari
+-- (settlement_payouts), puis les paris (BETS) et les crédits joueurs (PLAYERS) sont appliqués
+-- par tranches ; le curseur de chaque phase permet de reprendre après un crash.
+CREATE TABLE IF NOT EXISTS settlement_runs (
+  round_id BIGINT PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'BETS' CHECK (status IN ('BETS', 'PLAYERS', 'DONE')),
+  summary JSONB NOT NULL,
+  bets_cursor BIGINT NOT NULL DEFAULT 0,
+  players_cursor BIGINT NOT NULL DEFAULT 0,
+  bets_done INT NOT NULL DEFAULT 0,
+  players_done INT NOT NULL DEFAULT 0,
+  chunks INT NOT NULL DEFAULT 0,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_settlement_runs_pending ON settlement_runs(round_id) WHERE status <> 'DONE';
+
+-- gains calculés à l'ouverture, vidés une fois le round terminé
+CREATE TABLE IF NOT EXISTS settlement_payouts (
+  round_id BIGINT NOT NULL,
+  bet_id BIGINT NOT NULL,
+  player_id BIGINT NOT NULL,
+  category TEXT NOT NULL,
+  payout BIGINT NOT NULL,
+  PRIMARY KEY (round_id, bet_id)
+);
+CREATE INDEX IF NOT EXISTS idx_settlement_payouts_player ON settlement_payouts(round_id, player_id);
+
+CREATE INDEX IF NOT EXISTS idx_bets_round_player ON bets(round_id, player_id);
@@ -0,0 +1,69 @@
+// 014_games.js
+// Définitions de jeux (cf games.js). Le jeu historique devient le jeu 1 "classic" (round_base 0,
+// mêmes roundIds qu'avant) avec les règles jusqu'ici codées en dur ; son carry / jackpot restent
+// dans game_bank id=1, son timing dans les versions existantes de round_timing_config.
+// .js et pas .sql : le minimum du jackpot vient de JACKPOT_SEED_DOS.
+import { parseDosToUnits } from "../money.js";
+
+const CLASSIC_PRIZES = [
+  { category: "4+1", matches: 4, chance: true, share: 0.35, jackpot: true },
+  { category: "4+0", matches: 4, chance: false, share: 0.15 },
+  { category: "3+1", matches: 3, chance: true, share: 0.18 },
+  { category: "3+0", matches: 3, chance: false, share: 0.10 },
+  { category: "2+1", matches: 2, chance: true, share: 0.10 },
+  { category: "2+0", matches: 2, chance: false, share: 0.07 },
+  { category: "1+1", matches: 1, chance: true, share: 0.05 },
+];
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS games (
+      id SERIAL PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'DISABLED')),
+      round_base BIGINT UNIQUE NOT NULL,
+      nums_max INT NOT NULL,      -- numéros 1..nums_max
+      draw_count INT NOT NULL,    -- numéros tirés = numéros par ligne
+      pick_max INT NOT NULL,      -- grille système : jusqu'à pick_max numéros
+      chance_max INT NOT NULL,    -- chance 1..chance_max
+      win_pool_percent DOUBLE PRECISION NOT NULL,
+      carry_percent DOUBLE PRECISION NOT NULL,
+      prizes JSONB NOT NULL,      -- [{ category, matches, chance, share, jackpot? }], meilleures d'abord
+      jackpot_seed_dos BIGINT NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await client.query(
+    `INSERT INTO games
+       (id, code, name, round_base, nums_max, draw_count, pick_max, chance_max,
+        win_pool_percent, carry_percent, prizes, jackpot_seed_dos)
+     VALUES (1, 'classic', 'DDJ 4/20', 0, 20, 4, 8, 5, 0.65, 0.10, $1::jsonb, $2)
+     ON CONFLICT (id) DO NOTHING`,
+    [JSON.stringify(CLASSIC_PRIZES), String(parseDosToUnits(process.env.JACKPOT_SEED_DOS || "500"))]
+  );
+  await client.query(`SELECT setval(pg_get_serial_sequence('games', 'id'), (SELECT MAX(id) FROM games))`);
+
+  // une ligne game_bank par jeu (id = games.id)
+  await client.query(`
+    ALTER TABLE game_bank
+      ADD CONSTRAINT game_bank_game_fk FOREIGN KEY (id) REFERENCES games(id);
+  `);
+
+  // timing par jeu
+  await client.query(`
+    ALTER TABLE round_timing_config ADD COLUMN IF NOT EXISTS game_id INT NOT NULL DEFAULT 1 REFERENCES games(id);
+    DROP INDEX IF EXISTS idx_round_timing_active_round;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_round_timing_active_game_round
+      ON round_timing_config(game_id, effective_round_id) WHERE cancelled_at IS NULL;
+  `);
+
+  // paris, abonnements, favorites : rattachés à un jeu
+  await client.query(`
+    ALTER TABLE bets ADD COLUMN IF NOT EXISTS game_id INT NOT NULL DEFAULT 1 REFERENCES games(id);
+    ALTER TABLE bet_subscriptions ADD COLUMN IF NOT EXISTS game_id INT NOT NULL DEFAULT 1 REFERENCES games(id);
+    ALTER TABLE favourite_grids ADD COLUMN IF NOT EXISTS game_id INT NOT NULL DEFAULT 1 REFERENCES games(id);
+  `);
+}
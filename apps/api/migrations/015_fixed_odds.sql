@@ -0,0 +1,11 @@
+-- 015_fixed_odds.sql
+-- Cote fixe (games.prize_mode = 'FIXED', cf games.js) : les gains sont payés par la réserve du jeu,
+-- alimentée par l'admin et par les mises ; l'exposition (pire cas des paris non réglés) ne doit
+-- jamais dépasser la réserve.
+ALTER TABLE games ADD COLUMN IF NOT EXISTS prize_mode TEXT NOT NULL DEFAULT 'POOL'
+  CHECK (prize_mode IN ('POOL', 'FIXED'));
+
+ALTER TABLE game_bank ADD COLUMN IF NOT EXISTS reserve_dos BIGINT NOT NULL DEFAULT 0;
+
+-- paris non réglés d'un jeu (calcul de l'exposition à chaque pari)
+CREATE INDEX IF NOT EXISTS idx_bets_open ON bets(game_id, round_id) WHERE settled = FALSE;
@@ -0,0 +1,25 @@
+-- 016_merchants.sql
+-- Profil des marchands (players.type = 'MERCHANT') : annuaire public + suspension par l'admin.
+-- Un marchand suspendu a players.status = 'SUSPENDED' (plus de login, de tickets ni d'encaissement).
+CREATE TABLE IF NOT EXISTS merchants (
+  player_id BIGINT PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  display_name TEXT NOT NULL,
+  city TEXT NULL,
+  address TEXT NULL,
+  phone TEXT NULL,
+  created_by TEXT NULL,
+  suspended_at TIMESTAMPTZ NULL,
+  suspended_by TEXT NULL,
+  suspended_reason TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_merchants_city ON merchants(lower(city));
+
+-- marchands créés à la main avant cette migration : profil minimal
+INSERT INTO merchants (player_id, display_name)
+SELECT id, username FROM players WHERE type = 'MERCHANT'
+ON CONFLICT (player_id) DO NOTHING;
+
+-- tableau de bord marchand : tickets par marchand, du plus récent au plus ancien
+CREATE INDEX IF NOT EXISTS idx_transfer_tickets_merchant ON transfer_tickets(to_merchant_id, id);
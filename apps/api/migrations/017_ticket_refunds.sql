@@ -0,0 +1,7 @@
+-- 017_ticket_refunds.sql
+-- Tickets non encaissés : expirés par un job de fond (cf tickets.js expireStaleTickets) ou annulés
+-- par le joueur (status CANCELLED) ; dans les deux cas l'émetteur est remboursé à refunded_at.
+ALTER TABLE transfer_tickets ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ NULL;
+
+-- expirés avant cette migration (remboursés à la tentative d'encaissement)
+UPDATE transfer_tickets SET refunded_at = expires_at WHERE status = 'EXPIRED' AND refunded_at IS NULL;
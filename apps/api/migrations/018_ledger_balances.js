@@ -0,0 +1,81 @@
+// 018_ledger_balances.js
+// Ledger complet (cf ledger.js) : solde avant / après sur chaque écriture dos_ledger, admin_ledger
+// rattaché à un jeu (game_id = compte game_bank).
+// Les soldes déjà faussés (tickets, encaissements et frais marchands jamais écrits au ledger)
+// sont repris par une écriture d'ouverture, pour que le rapprochement ne signale que les écarts
+// apparus après cette migration.
+// .js et pas .sql : l'espace de rounds d'un jeu vient de games.js.
+import { ROUND_SPACE } from "../games.js";
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE dos_ledger ADD COLUMN IF NOT EXISTS balance_before BIGINT NULL;
+    ALTER TABLE dos_ledger ADD COLUMN IF NOT EXISTS balance_after BIGINT NULL;
+    ALTER TABLE admin_ledger ADD COLUMN IF NOT EXISTS game_id INT NULL REFERENCES games(id);
+  `);
+
+  // jeu des écritures existantes : meta.game (réserve), sinon le jeu propriétaire de meta.roundId,
+  // sinon le jeu classique (id 1, dont les rounds négatifs)
+  await client.query(`
+    UPDATE admin_ledger l SET game_id = g.id
+    FROM games g
+    WHERE l.game_id IS NULL AND g.code = l.meta->>'game'
+  `);
+  await client.query(
+    `UPDATE admin_ledger l SET game_id = g.id
+     FROM games g
+     WHERE l.game_id IS NULL
+       AND l.meta ? 'roundId'
+       AND (l.meta->>'roundId')::bigint >= g.round_base
+       AND (l.meta->>'roundId')::bigint < g.round_base + $1::bigint`,
+    [String(ROUND_SPACE)]
+  );
+  await client.query(`
+    UPDATE admin_ledger SET game_id = 1 WHERE game_id IS NULL;
+    ALTER TABLE admin_ledger ALTER COLUMN game_id SET NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_admin_ledger_game ON admin_ledger(game_id, type, id);
+  `);
+
+  // ouverture joueurs : solde - somme du ledger
+  await client.query(`
+    INSERT INTO dos_ledger (player_id, type, amount, balance_before, balance_after, meta)
+    SELECT p.id, 'ADJUSTMENT', p.balance_dos - COALESCE(l.total, 0), COALESCE(l.total, 0), p.balance_dos,
+           '{"reason": "opening balance", "migration": 18}'::jsonb
+    FROM players p
+    LEFT JOIN (SELECT player_id, SUM(amount) AS total FROM dos_ledger GROUP BY player_id) l ON l.player_id = p.id
+    WHERE p.balance_dos <> COALESCE(l.total, 0)
+  `);
+
+  // ouverture game_bank : part admin, réserve, carry (mêmes règles que ledger.js reconcile)
+  await client.query(`
+    INSERT INTO admin_ledger (game_id, type, amount, meta)
+    SELECT x.id, x.type, x.amount, '{"reason": "opening balance", "migration": 18}'::jsonb
+    FROM (
+      SELECT b.id, 'ADMIN_ADJUSTMENT' AS type,
+             b.admin_balance_dos - COALESCE((
+               SELECT SUM(amount) FROM admin_ledger
+               WHERE game_id = b.id
+                 AND type IN ('ADMIN_TAKE', 'JACKPOT_SEED', 'RESERVE_DEPOSIT', 'RESERVE_WITHDRAW')
+             ), 0) AS amount
+      FROM game_bank b
+      UNION ALL
+      SELECT b.id, 'RESERVE_ADJUSTMENT',
+             b.reserve_dos
+               - COALESCE((SELECT SUM(amount) FROM admin_ledger WHERE game_id = b.id AND type = 'RESERVE'), 0)
+               + COALESCE((
+                   SELECT SUM(amount) FROM admin_ledger
+                   WHERE game_id = b.id AND type IN ('RESERVE_DEPOSIT', 'RESERVE_WITHDRAW')
+                 ), 0)
+      FROM game_bank b
+    ) x
+    WHERE x.amount <> 0
+  `);
+  await client.query(`
+    INSERT INTO admin_ledger (game_id, type, amount, meta)
+    SELECT b.id, 'CARRY', b.carry_dos, '{"reason": "opening balance", "migration": 18}'::jsonb
+    FROM game_bank b
+    WHERE b.carry_dos IS DISTINCT FROM COALESCE((
+      SELECT amount FROM admin_ledger WHERE game_id = b.id AND type = 'CARRY' ORDER BY id DESC LIMIT 1
+    ), 0)
+  `);
+}
@@ -0,0 +1,15 @@
+-- 019_idempotency_keys.sql
+-- Idempotency-Key des routes qui bougent de l'argent (cf idempotency.js) : la clé est réservée et
+-- la réponse stockée dans la transaction de l'opération, donc une clé présente = opération faite.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  player_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL,
+  key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  response_status INT NULL,
+  response_body TEXT NULL, -- chiffré (ex. code d'un ticket, jamais stocké en clair)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (player_id, endpoint, key)
+);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
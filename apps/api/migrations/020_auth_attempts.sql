@@ -0,0 +1,12 @@
+-- 020_auth_attempts.sql
+-- Compteurs d'échecs anti force brute (cf lockout.js) : scope = PIN | GIFT | TICKET,
+-- subject = "player:<id>" (compte visé) ou "ip:<adresse>".
+CREATE TABLE IF NOT EXISTS auth_attempts (
+  scope TEXT NOT NULL CHECK (scope IN ('PIN', 'GIFT', 'TICKET')),
+  subject TEXT NOT NULL,
+  failures INT NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ NULL,
+  PRIMARY KEY (scope, subject)
+);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_locked ON auth_attempts(locked_until) WHERE locked_until IS NOT NULL;
@@ -0,0 +1,17 @@
+-- 021_pin_setup_codes.sql
+-- Codes à usage unique pour poser un PIN (cf pins.js) : SIGNUP = donné à l'inscription,
+-- RESET = PIN réinitialisé par un admin ou un marchand autorisé. Seul le hash du code est stocké.
+CREATE TABLE IF NOT EXISTS pin_setup_codes (
+  id BIGSERIAL PRIMARY KEY,
+  player_id BIGINT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  purpose TEXT NOT NULL CHECK (purpose IN ('SIGNUP', 'RESET')),
+  created_by TEXT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_pin_setup_codes_player ON pin_setup_codes(player_id) WHERE used_at IS NULL;
+
+-- marchands autorisés par l'admin à réinitialiser le PIN d'un joueur (au guichet)
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS can_reset_pins BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,49 @@
+-- 022_admin_keys_audit.sql
+-- Clés admin nommées (cf admin.js) : seul le hash est stocké ; rotation = nouvelle valeur, l'ancienne
+-- (prev_key_hash) reste valable jusqu'à prev_expires_at. Un nom n'est porté que par une clé active.
+CREATE TABLE IF NOT EXISTS admin_keys (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  scopes TEXT[] NOT NULL,
+  prev_key_hash TEXT NULL,
+  prev_expires_at TIMESTAMPTZ NULL,
+  created_by TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  rotated_at TIMESTAMPTZ NULL,
+  last_used_at TIMESTAMPTZ NULL,
+  revoked_at TIMESTAMPTZ NULL,
+  revoked_by TEXT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_keys_active_name ON admin_keys(name) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_admin_keys_prev ON admin_keys(prev_key_hash) WHERE prev_key_hash IS NOT NULL;
+
+-- Journal des actions admin : ajout seulement (UPDATE / DELETE refusés par trigger)
+CREATE TABLE IF NOT EXISTS admin_audit (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor TEXT NOT NULL,
+  key_id BIGINT NULL REFERENCES admin_keys(id),
+  scope TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  params JSONB NOT NULL DEFAULT '{}'::jsonb,
+  body JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status INT NOT NULL,
+  result JSONB NULL,
+  ip TEXT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_actor ON admin_audit(actor, id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit(created_at);
+
+CREATE OR REPLACE FUNCTION admin_audit_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_admin_audit_append_only ON admin_audit;
+CREATE TRIGGER trg_admin_audit_append_only
+  BEFORE UPDATE OR DELETE ON admin_audit
+  FOR EACH ROW EXECUTE FUNCTION admin_audit_append_only();
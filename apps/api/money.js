@@ -0,0 +1,75 @@
+// money.js
+// Montants DOS en virgule fixe : tout est stocké/calculé en unités BigInt (1 DOS = DOS_UNIT unités).
+// Format "wire" unique : les montants sortent de l'API en chaîne DOS ("1200.5") et y entrent
+// en chaîne ou nombre DOS ("1200.5" | 1200.5), jamais en unités.
+export const DOS_UNIT = BigInt(process.env.DOS_UNIT || "10"); // 1 DOS = 10 unités
+
+function isPowerOf10(n) {
+  let x = n;
+  while (x > 1n && x % 10n === 0n) x /= 10n;
+  return x === 1n;
+}
+
+function decimalsCount(scale) {
+  // scale doit être 10, 100, 1000...
+  if (!isPowerOf10(scale)) throw new Error("DOS_UNIT must be a power of 10 (10,100,1000...)");
+  return scale.toString().length - 1; // 10->1, 100->2, etc.
+}
+
+// "1200.5" | 1200.5 => 12005n (montant >= 0)
+export function parseDosToUnits(dosInput) {
+  const s = String(dosInput ?? "").trim();
+  if (!s) throw new Error("amount_dos required");
+  if (!/^\d+(\.\d+)?$/.test(s)) throw new Error("invalid DOS amount");
+
+  const dCount = decimalsCount(DOS_UNIT);
+  const [intPart, decRaw = ""] = s.split(".");
+  if (decRaw.length > dCount) throw new Error(`too many decimals (max ${dCount})`);
+
+  const decPart = (decRaw + "0".repeat(dCount)).slice(0, dCount); // pad à droite
+  return BigInt(intPart) * DOS_UNIT + BigInt(decPart || "0");
+}
+
+// 12005n | "12005" => "1200.5" (gère les montants négatifs du ledger)
+export function formatUnitsToDos(unitsInput) {
+  const u = BigInt(unitsInput ?? 0);
+  const dCount = decimalsCount(DOS_UNIT);
+
+  const sign = u < 0n ? "-" : "";
+  const a = u < 0n ? -u : u;
+  const i = a / DOS_UNIT;
+  const d = (a % DOS_UNIT).toString().padStart(dCount, "0").replace(/0+$/, "");
+  return d ? `${sign}${i}.${d}` : `${sign}${i}`;
+}
+
+// valeur lue en base (BIGINT => string avec pg) => BigInt
+export function toUnits(v) {
+  return BigInt(v ?? 0);
+}
+
+// floor(units * rate), rate en fraction (0.65) arrondie au point de base (0.01%)
+export function applyRate(units, rate) {
+  const bp = BigInt(Math.round(Number(rate) * 10000));
+  return (toUnits(units) * bp) / 10000n;
+}
+
+// sérialise les colonnes monétaires d'une ligne SQL en DOS ("balance_dos", "amount"...)
+export function formatMoneyFields(row, fields) {
+  if (!row) return row;
+  const out = { ...row };
+  for (const f of fields) if (out[f] != null) out[f] = formatUnitsToDos(out[f]);
+  return out;
+}
+
+export const PLAYER_MONEY_FIELDS = ["balance_dos"];
+
+// L'unité est figée en base par la migration de conversion : changer DOS_UNIT
+// sans nouvelle migration multiplierait/diviserait tous les soldes.
+export async function assertDosUnit(db) {
+  const r = await db.query(`SELECT dos_unit FROM money_settings WHERE id=1`);
+  if (r.rowCount === 0) return;
+  const stored = BigInt(r.rows[0].dos_unit);
+  if (stored !== DOS_UNIT) {
+    throw new Error(`DOS_UNIT=${DOS_UNIT} but database amounts are stored with DOS_UNIT=${stored}`);
+  }
+}
@@ -0,0 +1,121 @@
+// pins.js
+// PIN des comptes : format (4 ou 6 chiffres, pas de PIN trivial), hash scrypt et codes de
+// configuration à usage unique.
+// Le hash porte ses paramètres ("scrypt$n=16384,r=8,p=1$sel$hash") : on peut monter PIN_SCRYPT_N,
+// les anciens hash restent vérifiables et sont refaits au login suivant (pinNeedsRehash).
+// Les hash de l'ancien format "scrypt$sel$hash" ont les paramètres par défaut de Node.
+// Un PIN ne se pose (ou se repose) qu'avec un code de configuration : donné à l'inscription,
+// ou par un admin / marchand autorisé qui réinitialise le PIN.
+import crypto from "crypto";
+import { generateTicketCode } from "./tickets.js";
+
+const PIN_RE = /^(\d{4}|\d{6})$/;
+const LEGACY_PARAMS = { n: 16384, r: 8, p: 1 };
+const SCRYPT_PARAMS = { n: parseInt(process.env.PIN_SCRYPT_N || "16384", 10), r: 8, p: 1 };
+const MIN_SCRYPT_N = 16384;
+const MAX_SCRYPT_N = 1 << 20; // 1 Gio de mémoire par hash (128 x N x r)
+
+// => message d'erreur | null
+export function pinError(pin) {
+  const s = String(pin ?? "").trim();
+  if (!PIN_RE.test(s)) return "pin must be 4 or 6 digits";
+  if (/^(\d)\1+$/.test(s)) return "pin too weak (repeated digit)";
+  const d = [...s].map(Number);
+  const step = d[1] - d[0];
+  if (Math.abs(step) === 1 && d.every((x, i) => i === 0 || x - d[i - 1] === step)) {
+    return "pin too weak (sequence)";
+  }
+  return null;
+}
+
+function pinSeed() {
+  return process.env.SECRET_SEED || "dev-secret";
+}
+
+function derive(pin, salt, { n, r, p }, length) {
+  return crypto.scryptSync(String(pin) + pinSeed(), salt, length, { N: n, r, p, maxmem: 256 * n * r });
+}
+
+// au boot (initDb) : un PIN_SCRYPT_N invalide ferait échouer chaque hashPin (signup, set-pin, ...)
+export function assertPinParams() {
+  const { n } = SCRYPT_PARAMS;
+  if (!Number.isInteger(n) || n < MIN_SCRYPT_N || n > MAX_SCRYPT_N || (n & (n - 1)) !== 0) {
+    throw new Error(
+      `PIN_SCRYPT_N=${process.env.PIN_SCRYPT_N} invalid: power of two between ${MIN_SCRYPT_N} and ${MAX_SCRYPT_N}`
+    );
+  }
+  derive("0000", crypto.randomBytes(16), SCRYPT_PARAMS, 32);
+}
+
+function parseHash(stored) {
+  const parts = String(stored || "").split("$");
+  if (parts[0] !== "scrypt") return null;
+  if (parts.length === 3) return { params: LEGACY_PARAMS, legacy: true, salt: parts[1], hash: parts[2] };
+  if (parts.length !== 4) return null;
+  const params = {};
+  for (const kv of parts[1].split(",")) {
+    const [k, v] = kv.split("=");
+    params[k] = parseInt(v, 10);
+  }
+  if (![params.n, params.r, params.p].every((x) => Number.isInteger(x) && x > 0)) return null;
+  return { params, legacy: false, salt: parts[2], hash: parts[3] };
+}
+
+export function hashPin(pin) {
+  const salt = crypto.randomBytes(16);
+  const { n, r, p } = SCRYPT_PARAMS;
+  const derived = derive(pin, salt, SCRYPT_PARAMS, 32);
+  return `scrypt$n=${n},r=${r},p=${p}$${salt.toString("base64")}$${derived.toString("base64")}`;
+}
+
+export function verifyPin(pin, stored) {
+  try {
+    const h = parseHash(stored);
+    if (!h || !h.salt || !h.hash) return false;
+    const expected = Buffer.from(h.hash, "base64");
+    const derived = derive(pin, Buffer.from(h.salt, "base64"), h.params, expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+  } catch {
+    return false;
+  }
+}
+
+// hash à refaire (ancien format ou paramètres plus faibles que la config) : après un verifyPin réussi
+export function pinNeedsRehash(stored) {
+  const h = parseHash(stored);
+  if (!h) return false;
+  return h.legacy || h.params.n < SCRYPT_PARAMS.n || h.params.r < SCRYPT_PARAMS.r || h.params.p < SCRYPT_PARAMS.p;
+}
+
+function hashSetupCode(code) {
+  return crypto.createHash("sha256").update(`DDJ-PIN-SETUP|${pinSeed()}|${code}`).digest("hex");
+}
+
+// nouveau code (les codes encore valides du joueur sont annulés) => { code, expiresAt }
+// purpose : SIGNUP | RESET ; createdBy : "signup", acteur admin ou "merchant:<id>"
+export async function issuePinSetupCode(db, playerId, { purpose, createdBy, ttlMinutes }) {
+  await db.query(
+    `UPDATE pin_setup_codes SET used_at=NOW() WHERE player_id=$1 AND used_at IS NULL`,
+    [String(playerId)]
+  );
+  const code = generateTicketCode(8);
+  const r = await db.query(
+    `INSERT INTO pin_setup_codes (player_id, code_hash, purpose, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + ($5::int * INTERVAL '1 minute'))
+     RETURNING expires_at`,
+    [String(playerId), hashSetupCode(code), purpose, createdBy, ttlMinutes]
+  );
+  return { code, expiresAt: r.rows[0].expires_at };
+}
+
+// code valide pour ce joueur => consommé, { id, purpose, createdBy } ; sinon null
+export async function consumePinSetupCode(db, playerId, code) {
+  const r = await db.query(
+    `UPDATE pin_setup_codes SET used_at=NOW()
+     WHERE player_id=$1 AND code_hash=$2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING id, purpose, created_by`,
+    [String(playerId), hashSetupCode(String(code).trim().toUpperCase())]
+  );
+  if (!r.rows.length) return null;
+  return { id: String(r.rows[0].id), purpose: r.rows[0].purpose, createdBy: r.rows[0].created_by };
+}
@@ -0,0 +1,209 @@
+// scheduler.js
+import crypto from "crypto";
+import { roundRange } from "./games.js";
+
+// Verrou "leader" (session) : une seule instance fait le tour de règlement à la fois.
+// settleRound() prend en plus son propre verrou par round, donc même un /api/settle
+// manuel en parallèle ne peut pas régler deux fois le même round.
+const SCHEDULER_LOCK_KEY = 0x0dd15c4ed;
+
+// listGames() : jeux à faire tourner (cf games.js) ; chaque tick traite chaque jeu
+// getRoundInfo(nowMs, gameId) : round courant d'un jeu ; getRoundById(roundId) : tout jeu
+// commitRound(roundId) (optionnel) : publie le commit du seed des rounds à venir
+// announceRound(round) (optionnel) : publie les transitions ouvert / bientôt fermé / fermé
+// openRound(round) (optionnel) : appelé à chaque tick tant que les mises du round courant sont ouvertes
+// (announceRound / openRound : jeux ACTIVE uniquement ; les rounds d'un jeu DISABLED sont quand même réglés)
+export function createRoundScheduler({
+  pool,
+  listGames,
+  getRoundInfo,
+  getRoundById,
+  settleRound,
+  commitRound,
+  announceRound,
+  openRound,
+}) {
+  const instanceId = crypto.randomBytes(4).toString("hex");
+
+  let timer = null;
+  let running = false;
+  let ticking = false;
+  let intervalMs = 5000;
+  let maxCatchUp = 50;
+
+  const stats = {
+    leader: false,
+    lastTickAt: null,
+    lastTickMs: null,
+    lastSettled: null,
+    settledCount: 0,
+    lastError: null,
+  };
+
+  // rounds terminés d'un jeu à régler : le "trou" depuis le dernier round réglé
+  // + tout round plus ancien qui a encore des paris non réglés (downtime)
+  async function findDueRounds(client, game, currentRoundId) {
+    const { lo, hi } = roundRange(game);
+    const lastR = await client.query(
+      `SELECT MAX(round_id) AS last FROM round_results WHERE round_id >= $1 AND round_id < $2`,
+      [lo, hi]
+    );
+    const last = lastR.rows[0].last == null ? null : Number(lastR.rows[0].last);
+
+    const due = new Set();
+    const from = last == null
+      ? Math.max(lo, currentRoundId - 1)
+      : Math.max(last + 1, currentRoundId - maxCatchUp);
+    for (let id = from; id < currentRoundId; id++) due.add(id);
+
+    const pendingR = await client.query(
+      `SELECT DISTINCT b.round_id
+       FROM bets b
+       WHERE b.settled = FALSE
+         AND b.round_id >= $3
+         AND b.round_id < $1
+         AND NOT EXISTS (SELECT 1 FROM round_results r WHERE r.round_id = b.round_id)
+       ORDER BY b.round_id ASC
+       LIMIT $2`,
+      [currentRoundId, maxCatchUp, lo]
+    );
+    for (const r of pendingR.rows) due.add(Number(r.round_id));
+
+    // règlements interrompus (crash entre deux tranches) => reprise
+    const runsR = await client.query(
+      `SELECT round_id FROM settlement_runs
+       WHERE status <> 'DONE' AND round_id >= $2 AND round_id < $3
+       ORDER BY round_id ASC LIMIT $1`,
+      [maxCatchUp, lo, hi]
+    );
+    for (const r of runsR.rows) due.add(Number(r.round_id));
+
+    return Array.from(due).sort((a, b) => a - b).slice(0, maxCatchUp);
+  }
+
+  async function tickGame(client, game, t0, settled) {
+    const current = getRoundInfo(t0, game.id);
+    const active = game.status === "ACTIVE";
+    if (commitRound) {
+      await commitRound(current.roundId);
+      await commitRound(current.roundId + 1);
+    }
+    if (announceRound && active) await announceRound(current);
+    if (openRound && active && current.betsOpen) {
+      // n'empêche jamais le règlement des rounds terminés
+      try {
+        await openRound(current);
+      } catch (e) {
+        console.error(`❌ scheduler open round ${current.roundId}:`, e);
+      }
+    }
+    const due = await findDueRounds(client, game, current.roundId);
+
+    for (const roundId of due) {
+      if (getRoundById(roundId).roundEndMs > Date.now()) break;
+
+      try {
+        const r = await settleRound(roundId);
+        if (r.alreadySettled || r.void) continue; // round annulé : rien à régler
+        settled.push(roundId);
+        stats.settledCount++;
+        stats.lastSettled = {
+          roundId,
+          game: game.code,
+          at: new Date().toISOString(),
+          pot: r.pot,
+          winnersCount: r.winnersCount,
+        };
+        console.log(`✅ scheduler settled round ${roundId} (${game.code}, pot=${r.pot})`);
+      } catch (e) {
+        // on s'arrête là : les rounds d'un jeu doivent être réglés dans l'ordre
+        stats.lastError = { gameId: game.id, roundId, message: String(e?.message || e), at: new Date().toISOString() };
+        console.error(`❌ scheduler settle round ${roundId}:`, e);
+        break;
+      }
+    }
+  }
+
+  async function tick() {
+    if (ticking) return { skipped: "busy" };
+    ticking = true;
+
+    const t0 = Date.now();
+    const settled = [];
+    let client = null;
+    try {
+      client = await pool.connect();
+      const l = await client.query(`SELECT pg_try_advisory_lock($1) AS ok`, [SCHEDULER_LOCK_KEY]);
+      stats.leader = l.rows[0].ok === true;
+      if (!stats.leader) return { leader: false, settled };
+
+      try {
+        // un jeu en erreur n'empêche pas les autres de tourner
+        for (const game of listGames()) {
+          try {
+            await tickGame(client, game, t0, settled);
+          } catch (e) {
+            stats.lastError = { gameId: game.id, roundId: null, message: String(e?.message || e), at: new Date().toISOString() };
+            console.error(`❌ scheduler game ${game.code}:`, e);
+          }
+        }
+      } finally {
+        await client.query(`SELECT pg_advisory_unlock($1)`, [SCHEDULER_LOCK_KEY]);
+      }
+
+      return { leader: true, settled };
+    } catch (e) {
+      stats.lastError = { roundId: null, message: String(e?.message || e), at: new Date().toISOString() };
+      console.error("❌ scheduler tick:", e);
+      return { leader: stats.leader, settled, error: stats.lastError.message };
+    } finally {
+      client?.release();
+      stats.lastTickAt = new Date(t0).toISOString();
+      stats.lastTickMs = Date.now() - t0;
+      ticking = false;
+    }
+  }
+
+  function loop() {
+    timer = setTimeout(async () => {
+      await tick();
+      if (running) loop();
+    }, intervalMs);
+  }
+
+  function start(opts = {}) {
+    if (running) return;
+    if (Number.isFinite(opts.intervalMs) && opts.intervalMs >= 500) intervalMs = opts.intervalMs;
+    if (Number.isFinite(opts.maxCatchUp) && opts.maxCatchUp >= 1) maxCatchUp = opts.maxCatchUp;
+
+    console.log(`⏱️ scheduler started (instance ${instanceId}, every ${intervalMs}ms)`);
+    running = true;
+    // premier tick immédiat : rattrape les rounds manqués pendant le downtime
+    tick().finally(() => {
+      if (running) loop();
+    });
+  }
+
+  function stop() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function state() {
+    const nowMs = Date.now();
+    return {
+      instanceId,
+      running,
+      intervalMs,
+      maxCatchUp,
+      games: listGames().map((g) => {
+        const round = getRoundInfo(nowMs, g.id);
+        return { game: g.code, status: g.status, currentRoundId: round.roundId, nextSettleAtMs: round.roundEndMs };
+      }),
+      ...stats,
+    };
+  }
+
+  return { start, stop, tick, state };
+}
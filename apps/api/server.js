@@ -6,7 +6,76 @@ import { Pool } from "pg";
 
 import { pool } from "./db.js";
 import { initDb } from "./initDb.js";
-import { generateTicketCode, hashTicketCode } from "./tickets.js";
+import { generateTicketCode, hashTicketCode, refundTicket, expireStaleTickets } from "./tickets.js";
+import { applyBalanceChange, applyBalanceChanges, reconcile } from "./ledger.js";
+import {
+  claimIdempotencyKey,
+  findIdempotentResponse,
+  idempotencyRequest,
+  pruneIdempotencyKeys,
+  saveIdempotentResponse,
+  sendIdempotent,
+} from "./idempotency.js";
+import {
+  LOCKOUT_SCOPES,
+  attemptSucceeded,
+  cancelAttempt,
+  clearFailures,
+  clearLockout,
+  ipSubject,
+  listLockouts,
+  lockoutSubjects,
+  playerSubject,
+  reserveAttempt,
+} from "./lockout.js";
+import { ADMIN_SCOPES, createAdminAuth, parseScopes } from "./admin.js";
+import { consumePinSetupCode, hashPin, issuePinSetupCode, pinError, pinNeedsRehash, verifyPin } from "./pins.js";
+import { createRoundScheduler } from "./scheduler.js";
+import { createEventBus } from "./events.js";
+import {
+  computeSettlement,
+  createSettlementEngine,
+  lockRound,
+  lockRoundShared,
+  pickOutcomeForRound,
+  settleRules,
+} from "./settlement.js";
+import {
+  cancelTimingChange,
+  ensureInitialTiming,
+  loadTimingVersions,
+  roundBounds,
+  roundIdAt,
+  scheduleTimingChange,
+  timingHistory,
+  validateTiming,
+  versionAtTime,
+  versionForRound,
+} from "./timing.js";
+import { FAIR_ALGORITHM, ensureRoundSeed, outcomeFromSeeds, seedHash } from "./fairness.js";
+import {
+  CLASSIC_GAME_ID,
+  formatGame,
+  gameForRound,
+  insertGame,
+  loadGames,
+  jackpotCategory,
+  loadExposure,
+  maxMultiplier,
+  maxStakeFor,
+  parseGameDefinition,
+  potShares,
+  prizeMultipliers,
+  roundRange,
+  worstCasePayout,
+} from "./games.js";
+import {
+  PLAYER_MONEY_FIELDS,
+  formatMoneyFields,
+  formatUnitsToDos,
+  parseDosToUnits,
+  toUnits,
+} from "./money.js";
 
 const SECRET_SEED = process.env.SECRET_SEED || "dev-secret";
 
@@ -19,29 +88,13 @@ function base64urlDecode(str) {
   while (str.length % 4) str += "=";
   return Buffer.from(str, "base64");
 }
-function hashPin(pin) {
-  const salt = crypto.randomBytes(16);
-  const derived = crypto.scryptSync(String(pin) + SECRET_SEED, salt, 32);
-  return `scrypt$${salt.toString("base64")}$${derived.toString("base64")}`;
-}
-
-function verifyPin(pin, stored) {
-  try {
-    if (!stored) return false;
-    const [alg, saltB64, hashB64] = String(stored).split("$");
-    if (alg !== "scrypt" || !saltB64 || !hashB64) return false;
-
-    const salt = Buffer.from(saltB64, "base64");
-    const expected = Buffer.from(hashB64, "base64");
-    const derived = crypto.scryptSync(String(pin) + SECRET_SEED, salt, expected.length);
 
-    return crypto.timingSafeEqual(derived, expected);
-  } catch {
-    return false;
-  }
+// 429 LOCKED_OUT (cf lockout.js) ; Retry-After en secondes
+function sendLocked(res, lock) {
+  const { status, ...body } = lock;
+  return res.set("Retry-After", String(lock.retryAfter)).status(status).json(body);
 }
 
-
 function signPlayerToken(payload) {
   const p = base64urlEncode(JSON.stringify(payload));
   const sig = crypto.createHmac("sha256", SECRET_SEED).update(p).digest();
@@ -58,30 +111,90 @@ function verifyPlayerToken(token) {
   const b = Buffer.from(s);
   if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
 
-  const payload = JSON.parse(base64urlDecode(p).toString("utf8"));
-  if (!payload?.pid || !payload?.exp) return null;
+  let payload;
+  try {
+    payload = JSON.parse(base64urlDecode(p).toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!payload?.pid || !payload?.exp || !payload?.sid) return null;
   if (Date.now() > payload.exp) return null;
 
   return payload;
 }
 
-async function getAuthedPlayer(req) {
+// ----- Sessions joueur (access token court + refresh token révocable) -----
+// refresh token = "<sid>.<secret>" ; seul sha256(secret) est stocké en base
+function hashRefreshSecret(secret) {
+  return crypto.createHash("sha256").update(`DDJ-REFRESH|${SECRET_SEED}|${secret}`).digest("hex");
+}
+
+function issueAccessToken(playerId, sid) {
+  const exp = Date.now() + PLAYER_TOKEN_TTL_MINUTES * 60 * 1000;
+  return { token: signPlayerToken({ pid: String(playerId), sid, exp }), expiresAt: new Date(exp).toISOString() };
+}
+
+// crée une session (login) ou fait tourner le refresh token (refresh)
+async function openPlayerSession(db, playerId, sid = null) {
+  const secret = base64urlEncode(crypto.randomBytes(32));
+  const refreshExp = new Date(Date.now() + PLAYER_REFRESH_TTL_DAYS * 24 * 3600 * 1000);
+
+  if (!sid) {
+    sid = base64urlEncode(crypto.randomBytes(16));
+    await db.query(
+      `INSERT INTO player_sessions (id, player_id, refresh_hash, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [sid, playerId, hashRefreshSecret(secret), refreshExp.toISOString()]
+    );
+  } else {
+    await db.query(
+      `UPDATE player_sessions
+       SET refresh_hash=$2, expires_at=$3, last_used_at=NOW()
+       WHERE id=$1`,
+      [sid, hashRefreshSecret(secret), refreshExp.toISOString()]
+    );
+  }
+
+  const access = issueAccessToken(playerId, sid);
+  return {
+    token: access.token,
+    tokenType: "Bearer",
+    expiresAt: access.expiresAt,
+    refreshToken: `${sid}.${secret}`,
+    refreshExpiresAt: refreshExp.toISOString(),
+  };
+}
+
+// opts.allowQueryToken : ?access_token= (EventSource ne peut pas envoyer de header)
+async function getAuthedPlayer(req, opts = {}) {
   const h = req.headers.authorization || "";
   const m = /^Bearer\s+(.+)$/i.exec(h);
-  if (!m) return null;
-  const decoded = verifyPlayerToken(m[1]);
+  const token = m ? m[1] : opts.allowQueryToken ? req.query?.access_token : null;
+  if (!token) return null;
+  const decoded = verifyPlayerToken(token);
   if (!decoded) return null;
 
+  // token signé mais session révoquée (logout) => refusé
   const r = await pool.query(
-    "SELECT id, username, status, balance_dos, type, pin_hash FROM players WHERE id=$1",
-    [decoded.pid]
+    `SELECT p.id, p.username, p.status, p.balance_dos, p.type, p.pin_hash
+     FROM players p
+     JOIN player_sessions s ON s.player_id = p.id
+     WHERE p.id=$1 AND s.id=$2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [decoded.pid, decoded.sid]
   );
   if (r.rowCount === 0) return null;
   const p = r.rows[0];
   if (p.status !== "ACTIVE") return null;
+  p.sessionId = decoded.sid;
   return p;
 }
 const app = express();
+// derrière un proxy (Render) : req.ip = X-Forwarded-For (compteurs anti force brute par IP, cf lockout.js)
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(tp) ? Number(tp) : tp === "true" ? true : tp);
+}
+const adminAuth = createAdminAuth({ pool });
 app.get("/health", (req, res) => res.json({ status: "ok", service: "ddj-api", ts: new Date().toISOString() }));
 app.get("/api/v1/health", (req, res) => res.json({ status: "ok", service: "ddj-api", ts: new Date().toISOString() }));
 app.use(express.json());
@@ -90,27 +203,496 @@ app.get("/api/health", (req, res) => {
   res.json({ ok: true, service: "ddj-api", api_version: "v1" });
 });
 
-// GET /api/round
-app.get("/api/round", (req, res) => {
-  const nowMs = Date.now();
-  const round = getRoundInfo(nowMs);
-  res.json({
-    ok: true,
-    nowMs,
-    roundSeconds,
-    closeBetsAt,
-    anchorMs,
-    round,
+// GET /api/round?game=classic
+app.get("/api/round", async (req, res) => {
+  try {
+    const g = resolveGame(req);
+    if (g.error) {
+      const { status, ...body } = g;
+      return res.status(status).json(body);
+    }
+    const nowMs = Date.now();
+    const round = getRoundInfo(nowMs, g.game.id);
+    const { current, pending } = timingState(nowMs, g.game.id);
+
+    // commit publié avant la fermeture des mises (round courant + suivant) ; le scheduler les pose
+    // d'avance => simple lecture, ensureRoundSeed (INSERT) seulement si l'un manque
+    const s = await pool.query(
+      `SELECT round_id, seed_hash, client_seed FROM round_seeds WHERE round_id = ANY($1::bigint[])`,
+      [[round.roundId, round.roundId + 1]]
+    );
+    const stored = (id) => s.rows.find((row) => Number(row.round_id) === id);
+    const seed = stored(round.roundId) || (await ensureRoundSeed(pool, round.roundId));
+    const nextSeed = stored(round.roundId + 1) || (await ensureRoundSeed(pool, round.roundId + 1));
+
+    res.json({
+      ok: true,
+      nowMs,
+      game: formatGame(g.game),
+      roundSeconds: current.roundSeconds,
+      closeBetsAt: current.closeBetsAt,
+      timingVersion: current.version,
+      nextTimingChange: pending[0] || null,
+      round: { ...round, seedHash: seed.seed_hash, clientSeed: seed.client_seed },
+      nextRound: {
+        roundId: round.roundId + 1,
+        seedHash: nextSeed.seed_hash,
+        clientSeed: nextSeed.client_seed,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/rounds/:id/verify (public) : recalcul du tirage depuis les seeds révélés
+app.get("/api/rounds/:id/verify", async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId))
+      return res.status(400).json({ error: "roundId invalid" });
+    const game = gameForRound(games, roundId);
+    if (!game) return res.status(404).json({ error: "game not found", roundId });
+
+    const s = await pool.query(
+      `SELECT round_id, server_seed, seed_hash, client_seed, revealed_at, created_at
+       FROM round_seeds WHERE round_id=$1`,
+      [roundId]
+    );
+    if (s.rowCount === 0)
+      return res.status(404).json({ error: "no seed committed for this round" });
+
+    const seed = s.rows[0];
+    const round = getRoundById(roundId);
+    const commitment = {
+      roundId,
+      game: game.code,
+      seedHash: seed.seed_hash,
+      committedAt: seed.created_at,
+      committedBeforeClose: new Date(seed.created_at).getTime() < round.closeAtMs,
+    };
+
+    // pas encore révélé => on ne publie que le commit
+    if (!seed.revealed_at) {
+      return res.json({ ok: true, revealed: false, ...commitment });
+    }
+
+    const rr = await pool.query(
+      `SELECT outcome FROM round_results WHERE round_id=$1`,
+      [roundId]
+    );
+    const stored = rr.rows[0]?.outcome || null;
+    const recomputed = outcomeFromSeeds(seed.server_seed, seed.client_seed || "", roundId, game);
+
+    res.json({
+      ok: true,
+      revealed: true,
+      ...commitment,
+      serverSeed: seed.server_seed,
+      clientSeed: seed.client_seed || "",
+      revealedAt: seed.revealed_at,
+      algorithm: FAIR_ALGORITHM,
+      hashOk: seedHash(seed.server_seed) === seed.seed_hash,
+      outcome: recomputed,
+      storedOutcome: stored,
+      match:
+        !!stored &&
+        stored.chance === recomputed.chance &&
+        JSON.stringify(stored.main) === JSON.stringify(recomputed.main),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ====== EVENTS (SSE) ======
+const events = createEventBus({ pool });
+
+// GET /api/events (SSE) ; Bearer ou ?access_token= pour recevoir aussi ses événements perso
+// Reprise : header Last-Event-ID (auto par EventSource) ou ?lastEventId= ; si la reprise est
+// impossible (curseur illisible, événements purgés, retard trop grand) => `event: reset`, le client
+// recharge son état
+app.get("/api/events", async (req, res) => {
+  let player = null;
+  try {
+    player = await getAuthedPlayer(req, { allowQueryToken: true });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+  const playerId = player ? String(player.id) : null;
+  const lastEventId = String(req.header("last-event-id") || req.query?.lastEventId || "");
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  const frame = (ev) => `event: ${ev.type}\ndata: ${JSON.stringify({ ...ev.payload, at: ev.created_at })}\n\n`;
+  let replaying = true;
+  const queued = [];
+  const replayed = new Set(); // ids déjà envoyés par le replay, que la diffusion peut repasser
+  const write = (ev, cursor) => {
+    if (replayed.delete(String(ev.id))) return;
+    res.write(`id: ${cursor}\n${frame(ev)}`);
+  };
+
+  // abonné d'abord (bufferisé), puis replay depuis la base => ni trou ni doublon
+  const unsubscribe = events.subscribe({
+    playerId,
+    send: (ev, cursor) => (replaying ? queued.push([ev, cursor]) : write(ev, cursor)),
   });
+  const ping = setInterval(() => res.write(": ping\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+
+  if (lastEventId) {
+    let reset;
+    try {
+      // sans `id` : une coupure pendant le replay le fait reprendre au même curseur
+      reset = await events.replay(lastEventId, playerId, (ev) => {
+        replayed.add(String(ev.id));
+        res.write(frame(ev));
+      });
+    } catch (e) {
+      console.error("❌ events replay:", e?.message || e);
+      reset = "replay failed";
+    }
+    if (reset) res.write(`event: reset\ndata: ${JSON.stringify({ reason: reset })}\n\n`);
+  }
+  replaying = false;
+  for (const [ev, cursor] of queued.splice(0)) write(ev, cursor);
+  // à jour avec l'instance : son curseur devient celui du client (id seul, pas d'événement)
+  const cursor = events.cursor();
+  if (cursor) res.write(`id: ${cursor}\n\n`);
+});
+
+// publie les transitions de timing du round courant (appelé par le scheduler leader)
+// la clé de dédoublonnage garantit un seul événement par round, quelle que soit l'instance
+async function announceRound(round) {
+  const base = {
+    game: findGame(round.gameId)?.code,
+    roundId: round.roundId,
+    roundStartMs: round.roundStartMs,
+    roundEndMs: round.roundEndMs,
+    closeAtMs: round.closeAtMs,
+  };
+  await events.publish(pool, "round.opened", base, { key: `round.opened:${round.roundId}` });
+  if (round.betsOpen && round.secondsToClose <= BETS_CLOSING_SOON_SECONDS) {
+    await events.publish(
+      pool,
+      "round.closing_soon",
+      { ...base, secondsToClose: round.secondsToClose },
+      { key: `round.closing_soon:${round.roundId}` }
+    );
+  }
+  if (!round.betsOpen) {
+    await events.publish(pool, "round.closed", base, { key: `round.closed:${round.roundId}` });
+  }
+}
+
+// ====== ROUNDS (historique) ======
+const ROUND_MONEY_FIELDS = [
+  "total_bets_dos",
+  "carry_in_dos",
+  "pot_total_dos",
+  "win_pool_dos",
+  "carry_from_bets_dos",
+  "unclaimed_dos",
+  "carry_out_dos",
+  "admin_take_dos",
+  "jackpot_contribution_dos",
+];
+
+// round_results (tirage, source de vérité) + rounds (montants ; absent pour les vieux rounds)
+// + rounds annulés (round_voids) : pas de tirage, mises remboursées
+const ROUND_HISTORY_SQL = `
+  SELECT * FROM (
+    SELECT rr.round_id, 'SETTLED' AS status, rr.outcome, rr.settled_at,
+           r.total_bets_dos, r.carry_in_dos, r.pot_total_dos, r.win_pool_dos,
+           r.carry_from_bets_dos, r.unclaimed_dos, r.carry_out_dos, r.admin_take_dos,
+           r.jackpot_contribution_dos, r.winners_count,
+           NULL::text AS void_reason, NULL::timestamptz AS voided_at, NULL::bigint AS refunded_dos
+    FROM round_results rr
+    LEFT JOIN rounds r ON r.round_id = rr.round_id
+    UNION ALL
+    SELECT v.round_id, 'VOID', NULL::jsonb, NULL::timestamptz,
+           NULL::bigint, NULL::bigint, NULL::bigint, NULL::bigint,
+           NULL::bigint, NULL::bigint, NULL::bigint, NULL::bigint,
+           NULL::bigint, NULL::int,
+           v.reason, v.voided_at, v.refunded_dos
+    FROM round_voids v
+  ) h`;
+
+function formatRoundRow(row) {
+  const m = formatMoneyFields(row, ROUND_MONEY_FIELDS);
+  return {
+    roundId: Number(row.round_id),
+    game: gameForRound(games, Number(row.round_id))?.code ?? null,
+    status: row.status,
+    outcome: row.outcome,
+    settledAt: row.settled_at,
+    void: row.status === "VOID"
+      ? { reason: row.void_reason, voidedAt: row.voided_at, refunded: formatUnitsToDos(row.refunded_dos) }
+      : null,
+    timing: getRoundById(Number(row.round_id)),
+    totalBets: m.total_bets_dos ?? null,
+    carryIn: m.carry_in_dos ?? null,
+    pot: m.pot_total_dos ?? null,
+    winPool: m.win_pool_dos ?? null,
+    carry: m.carry_from_bets_dos ?? null,
+    unclaimed: m.unclaimed_dos ?? null,
+    carryOut: m.carry_out_dos ?? null,
+    adminTake: m.admin_take_dos ?? null,
+    jackpotContribution: m.jackpot_contribution_dos ?? null,
+    winnersCount: row.winners_count ?? null,
+  };
+}
+
+// GET /api/rounds?limit=20&beforeId=&game= (réglés ou annulés, du plus récent au plus ancien ; tous jeux par défaut)
+app.get("/api/rounds", async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(100, Number(req.query?.limit || 20)));
+    const beforeId = req.query?.beforeId ? Number(req.query.beforeId) : null;
+    if (beforeId != null && !Number.isInteger(beforeId))
+      return res.status(400).json({ error: "beforeId invalid" });
+    let range = null;
+    if (req.query?.game) {
+      const g = resolveGame(req);
+      if (g.error) {
+        const { status, ...body } = g;
+        return res.status(status).json(body);
+      }
+      range = roundRange(g.game);
+    }
+
+    const r = await pool.query(
+      `${ROUND_HISTORY_SQL}
+       WHERE ($1::bigint IS NULL OR h.round_id < $1)
+         AND ($3::bigint IS NULL OR (h.round_id >= $3 AND h.round_id < $4))
+       ORDER BY h.round_id DESC
+       LIMIT $2`,
+      [beforeId, limit, range ? String(range.lo) : null, range ? String(range.hi) : null]
+    );
+
+    res.json({
+      ok: true,
+      limit,
+      rounds: r.rows.map(formatRoundRow),
+      nextBeforeId: r.rows.length === limit ? Number(r.rows[r.rows.length - 1].round_id) : null,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/rounds/stats?last=50&game=classic : fréquence des numéros ("chauds / froids") sur les N derniers rounds
+// (déclaré avant /api/rounds/:id)
+app.get("/api/rounds/stats", async (req, res) => {
+  try {
+    const last = Math.max(1, Math.min(1000, Number(req.query?.last || 50)));
+    const top = Math.max(1, Math.min(10, Number(req.query?.top || 5)));
+    const g = resolveGame(req);
+    if (g.error) {
+      const { status, ...body } = g;
+      return res.status(status).json(body);
+    }
+    const { lo, hi } = roundRange(g.game);
+
+    const r = await pool.query(
+      `SELECT round_id, outcome FROM round_results
+       WHERE round_id >= $2 AND round_id < $3
+       ORDER BY round_id DESC LIMIT $1`,
+      [last, String(lo), String(hi)]
+    );
+
+    // index 0 = round le plus récent => "ago" = nb de rounds depuis le dernier tirage
+    const nums = new Map();
+    const chances = new Map();
+    for (let n = 1; n <= g.game.numsMax; n++) nums.set(n, { n, count: 0, lastSeenAgo: null });
+    for (let n = 1; n <= g.game.chanceMax; n++) chances.set(n, { n, count: 0, lastSeenAgo: null });
+
+    r.rows.forEach((row, ago) => {
+      for (const n of row.outcome?.main || []) {
+        const s = nums.get(Number(n));
+        if (!s) continue;
+        s.count++;
+        if (s.lastSeenAgo == null) s.lastSeenAgo = ago;
+      }
+      const c = chances.get(Number(row.outcome?.chance));
+      if (c) {
+        c.count++;
+        if (c.lastSeenAgo == null) c.lastSeenAgo = ago;
+      }
+    });
+
+    const numbers = Array.from(nums.values());
+    const byHot = [...numbers].sort((a, b) => b.count - a.count || a.n - b.n);
+    const byCold = [...numbers].sort((a, b) => a.count - b.count || a.n - b.n);
+
+    res.json({
+      ok: true,
+      game: g.game.code,
+      rounds: r.rows.length,
+      fromRoundId: r.rows.length ? Number(r.rows[r.rows.length - 1].round_id) : null,
+      toRoundId: r.rows.length ? Number(r.rows[0].round_id) : null,
+      numbers,
+      chances: Array.from(chances.values()),
+      hot: byHot.slice(0, top).map((x) => x.n),
+      cold: byCold.slice(0, top).map((x) => x.n),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/rounds/:id : tirage, split, gagnants et gains par catégorie, timing
+app.get("/api/rounds/:id", async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId))
+      return res.status(400).json({ error: "roundId invalid" });
+    const game = gameForRound(games, roundId);
+    if (!game) return res.status(404).json({ error: "game not found", roundId });
+
+    const r = await pool.query(`${ROUND_HISTORY_SQL} WHERE h.round_id = $1`, [roundId]);
+    if (r.rowCount === 0) {
+      // pas encore réglé : on renvoie au moins le timing
+      const nowMs = Date.now();
+      const timing = getRoundById(roundId);
+      return res.status(404).json({
+        error: "round not settled",
+        roundId,
+        timing,
+        finished: nowMs >= timing.roundEndMs,
+      });
+    }
+
+    if (r.rows[0].status === "VOID") return res.json({ ok: true, round: formatRoundRow(r.rows[0]) });
+
+    const cats = await pool.query(
+      `SELECT category, COUNT(*) AS winners, COALESCE(SUM(payout_dos), 0) AS payout
+       FROM bets
+       WHERE round_id = $1 AND category IS NOT NULL
+       GROUP BY category`,
+      [roundId]
+    );
+    const byCat = new Map(cats.rows.map((c) => [c.category, c]));
+
+    res.json({
+      ok: true,
+      round: {
+        ...formatRoundRow(r.rows[0]),
+        categories: game.prizes.map(({ category, share, multiplier, jackpot }) => ({
+          category,
+          ...(multiplier != null ? { multiplier } : { share }),
+          jackpot: !!jackpot,
+          winners: Number(byCat.get(category)?.winners || 0),
+          payout: formatUnitsToDos(byCat.get(category)?.payout || 0),
+        })),
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ====== JACKPOT ======
+
+// GET /api/jackpot?game=classic : montant courant + derniers gagnants
+app.get("/api/jackpot", async (req, res) => {
+  try {
+    const g = resolveGame(req);
+    if (g.error) {
+      const { status, ...body } = g;
+      return res.status(status).json(body);
+    }
+    const { lo, hi } = roundRange(g.game);
+    const category = jackpotCategory(g.game);
+    const b = await pool.query(`SELECT jackpot_dos, updated_at FROM game_bank WHERE id=$1`, [g.game.id]);
+    const w = await pool.query(
+      `SELECT h.round_id, h.amount, h.bet_id, h.created_at, p.username
+       FROM jackpot_history h
+       LEFT JOIN players p ON p.id = h.player_id
+       WHERE h.type = 'WIN' AND h.round_id >= $1 AND h.round_id < $2
+       ORDER BY h.id DESC
+       LIMIT 10`,
+      [String(lo), String(hi)]
+    );
+
+    res.json({
+      ok: true,
+      game: g.game.code,
+      category,
+      jackpot: formatUnitsToDos(b.rows[0]?.jackpot_dos),
+      seed: formatUnitsToDos(g.game.jackpotSeedUnits),
+      share: category ? potShares(g.game)[category] : null,
+      updatedAt: b.rows[0]?.updated_at || null,
+      lastWinners: w.rows.map((r) => ({
+        roundId: r.round_id,
+        username: r.username,
+        betId: r.bet_id,
+        amount: formatUnitsToDos(-toUnits(r.amount)),
+        wonAt: r.created_at,
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/jackpot/history?limit=50&beforeId=&game=classic (pagination par id décroissant)
+app.get("/api/jackpot/history", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query?.limit || "50", 10) || 50, 1), 200);
+    const beforeId = req.query?.beforeId ? Number(req.query.beforeId) : null;
+    if (beforeId != null && !Number.isInteger(beforeId))
+      return res.status(400).json({ error: "beforeId invalid" });
+    const g = resolveGame(req);
+    if (g.error) {
+      const { status, ...body } = g;
+      return res.status(status).json(body);
+    }
+    const { lo, hi } = roundRange(g.game);
+
+    const r = await pool.query(
+      `SELECT h.id, h.round_id, h.type, h.amount, h.jackpot_after, h.bet_id, h.created_at, p.username
+       FROM jackpot_history h
+       LEFT JOIN players p ON p.id = h.player_id
+       WHERE ($1::bigint IS NULL OR h.id < $1)
+         AND h.round_id >= $3 AND h.round_id < $4
+       ORDER BY h.id DESC
+       LIMIT $2`,
+      [beforeId, limit, String(lo), String(hi)]
+    );
+
+    res.json({
+      ok: true,
+      game: g.game.code,
+      limit,
+      rows: r.rows.map((row) => formatMoneyFields(row, ["amount", "jackpot_after"])),
+      nextBeforeId: r.rows.length === limit ? r.rows[r.rows.length - 1].id : null,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
 });
 
 // ====== PLAYER ======
 
-// POST /api/player/signup { username }
+// POST /api/player/signup { username, pin? }
+// à la création : PIN posé tout de suite, ou sinon pinSetupCode (usage unique) pour /api/player/set-pin
 app.post("/api/player/signup", async (req, res) => {
   try {
     const username = String(req.body?.username || "").trim();
     if (!username) return res.status(400).json({ error: "username required" });
+    const pin = req.body?.pin == null ? null : String(req.body.pin).trim();
+    const badPin = pin == null ? null : pinError(pin);
+    if (badPin) return res.status(400).json({ error: badPin });
 
     const c = await pool.connect();
     try {
@@ -121,23 +703,31 @@ app.post("/api/player/signup", async (req, res) => {
         `INSERT INTO players (username, balance_dos)
          VALUES ($1, 0)
          ON CONFLICT (username) DO UPDATE SET username = EXCLUDED.username
-         RETURNING id, username, balance_dos, status, created_at`,
+         RETURNING id, username, balance_dos, status, created_at, (xmax = 0) AS inserted`,
         [username]
       );
 
       const player = r.rows[0];
 
-      // bonus signup
-      if (SIGNUP_BONUS_DOS > 0) {
-        await c.query(
-          `UPDATE players SET balance_dos = balance_dos + $1 WHERE id = $2`,
-          [SIGNUP_BONUS_DOS, player.id]
-        );
-        await c.query(
-          `INSERT INTO dos_ledger (player_id, type, amount, meta)
-           VALUES ($1, 'BONUS_SIGNUP', $2, $3::jsonb)`,
-          [player.id, SIGNUP_BONUS_DOS, JSON.stringify({ source: "signup" })]
-        );
+      // bonus signup (seulement à la création, pas à chaque re-signup)
+      if (player.inserted && SIGNUP_BONUS_UNITS > 0n) {
+        await applyBalanceChange(c, events, {
+          playerId: player.id,
+          type: "BONUS_SIGNUP",
+          amount: SIGNUP_BONUS_UNITS,
+          meta: { source: "signup" },
+        });
+      }
+
+      let pinSetupCode = null;
+      if (player.inserted && pin != null) {
+        await c.query(`UPDATE players SET pin_hash=$2 WHERE id=$1`, [player.id, hashPin(pin)]);
+      } else if (player.inserted) {
+        pinSetupCode = await issuePinSetupCode(c, player.id, {
+          purpose: "SIGNUP",
+          createdBy: "signup",
+          ttlMinutes: PIN_SETUP_TTL_MINUTES,
+        });
       }
 
       const r2 = await c.query(
@@ -147,7 +737,11 @@ app.post("/api/player/signup", async (req, res) => {
       );
 
       await c.query("COMMIT");
-      res.json({ ok: true, player: r2.rows[0] });
+      res.json({
+        ok: true,
+        player: formatMoneyFields(r2.rows[0], PLAYER_MONEY_FIELDS),
+        ...(pinSetupCode ? { pinSetupCode } : {}),
+      });
     } catch (e) {
       await c.query("ROLLBACK");
       throw e;
@@ -158,165 +752,290 @@ app.post("/api/player/signup", async (req, res) => {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
+// POST /api/player/set-pin { username, code, pin } : pose le PIN avec un code de configuration
+// (inscription ou réinitialisation) ; les sessions ouvertes sont révoquées
 app.post("/api/player/set-pin", async (req, res) => {
-  const { username, pin } = req.body || {};
-
-  if (!username) return res.status(400).json({ error: "username required" });
-  if (!pin) return res.status(400).json({ error: "pin required" });
-
-  const pinStr = String(pin).trim();
-  if (!/^\d{4}$/.test(pinStr)) {
-    return res.status(400).json({ error: "pin must be 4 digits" });
-  }
-
-  const r = await pool.query(
-    `SELECT id, username, pin_hash FROM players WHERE username = $1`,
-    [String(username)]
-  );
-  if (r.rowCount === 0) return res.status(404).json({ error: "player not found" });
-
-  const player = r.rows[0];
-  if (player.pin_hash) return res.status(400).json({ error: "pin already set" });
+  try {
+    const username = String(req.body?.username || "").trim();
+    const code = String(req.body?.code || "").trim();
+    const pin = String(req.body?.pin ?? "").trim();
+    if (!username) return res.status(400).json({ error: "username required" });
+    if (!code) return res.status(400).json({ error: "code required" });
+    const badPin = pinError(pin);
+    if (badPin) return res.status(400).json({ error: badPin });
 
-  const pin_hash = hashPin(pinStr);
+    const r = await pool.query(`SELECT id, username FROM players WHERE username = $1`, [username]);
+    const player = r.rows[0];
+    const attempt = await reserveAttempt(pool, "PIN", lockoutSubjects(req, player?.id));
+    if (attempt.locked) return sendLocked(res, attempt.locked);
 
-  await pool.query(`UPDATE players SET pin_hash = $1 WHERE id = $2`, [pin_hash, player.id]);
+    const c = await pool.connect();
+    try {
+      await c.query("BEGIN");
+      const used = player ? await consumePinSetupCode(c, player.id, code) : null;
+      if (!used) {
+        await c.query("ROLLBACK");
+        if (attempt.lock) return sendLocked(res, attempt.lock);
+        return res.status(401).json({ error: "invalid or expired code" });
+      }
+      await c.query(`UPDATE players SET pin_hash=$2 WHERE id=$1`, [player.id, hashPin(pin)]);
+      await c.query(`UPDATE player_sessions SET revoked_at=NOW() WHERE player_id=$1 AND revoked_at IS NULL`, [
+        player.id,
+      ]);
+      await c.query("COMMIT");
+    } catch (e) {
+      await c.query("ROLLBACK");
+      throw e;
+    } finally {
+      c.release();
+    }
+    await attemptSucceeded(pool, attempt);
 
-  return res.json({ ok: true, player: { id: String(player.id), username: player.username } });
+    res.json({ ok: true, player: { id: String(player.id), username: player.username } });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
 });
 
-
-// POST /api/player/redeem { playerId, code }
-app.post("/api/player/redeem", async (req, res) => {
+// POST /api/player/change-pin { pin, newPin } (Bearer) : les autres sessions sont révoquées
+app.post("/api/player/change-pin", async (req, res) => {
   try {
-    const playerId = Number(req.body?.playerId);
-    const code = String(req.body?.code || "").trim();
-    if (!playerId) return res.status(400).json({ error: "playerId required" });
-    if (!code) return res.status(400).json({ error: "code required" });
-
-    const codeHash = hashTicketCode(code);
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+    const pin = String(req.body?.pin ?? "").trim();
+    const newPin = String(req.body?.newPin ?? "").trim();
+    if (!pin) return res.status(400).json({ error: "pin required" });
+    const badPin = pinError(newPin);
+    if (badPin) return res.status(400).json({ error: badPin });
+    if (newPin === pin) return res.status(400).json({ error: "newPin must differ from pin" });
+
+    const attempt = await reserveAttempt(pool, "PIN", lockoutSubjects(req, authed.id));
+    if (attempt.locked) return sendLocked(res, attempt.locked);
+    if (!authed.pin_hash || !verifyPin(pin, authed.pin_hash)) {
+      if (attempt.lock) return sendLocked(res, attempt.lock);
+      return res.status(401).json({ error: "bad pin" });
+    }
+    await attemptSucceeded(pool, attempt);
 
     const c = await pool.connect();
+    let revoked;
     try {
       await c.query("BEGIN");
-
-      // lock gift code
-      const g = await c.query(
-        `SELECT id, value_dos, status, expires_at
-         FROM gift_codes
-         WHERE code_hash = $1
-         FOR UPDATE`,
-        [codeHash]
+      // PIN changé entre-temps (autre session) => l'ancien n'est plus bon
+      const u = await c.query(`UPDATE players SET pin_hash=$3 WHERE id=$1 AND pin_hash=$2 RETURNING id`, [
+        authed.id,
+        authed.pin_hash,
+        hashPin(newPin),
+      ]);
+      if (!u.rows.length) {
+        await c.query("ROLLBACK");
+        return res.status(409).json({ error: "pin changed concurrently, retry" });
+      }
+      const r = await c.query(
+        `UPDATE player_sessions SET revoked_at=NOW() WHERE player_id=$1 AND id<>$2 AND revoked_at IS NULL`,
+        [authed.id, authed.sessionId]
       );
-      if (g.rowCount === 0)
-        return res.status(404).json({ error: "code not found" });
-
-      const gc = g.rows[0];
-      if (gc.status !== "ACTIVE")
-        return res.status(409).json({ error: "code not active" });
-      if (gc.expires_at && Date.now() > new Date(gc.expires_at).getTime())
-        return res.status(409).json({ error: "code expired" });
-      app.post("/api/merchant/ticket/redeem", async (req, res) => {
-  const { merchantId, pin, ticket } = req.body || {};
-  if (!merchantId) return res.status(400).json({ error: "merchantId required" });
-  if (!pin) return res.status(400).json({ error: "pin required" });
-  if (!ticket) return res.status(400).json({ error: "ticket required" });
+      revoked = r.rowCount;
+      await c.query("COMMIT");
+    } catch (e) {
+      await c.query("ROLLBACK");
+      throw e;
+    } finally {
+      c.release();
+    }
 
-  const codeHash = hashTicketCode(String(ticket));
+    res.json({ ok: true, revokedSessions: revoked });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-  const client = await pool.connect();
+// POST /api/player/login { username, pin }
+app.post("/api/player/login", async (req, res) => {
   try {
-    await client.query("BEGIN");
+    const username = String(req.body?.username || "").trim();
+    const pin = req.body?.pin;
+    if (!username) return res.status(400).json({ error: "username required" });
+    if (!pin) return res.status(400).json({ error: "pin required" });
 
-    const mr = await client.query(
-      "SELECT id, pin_hash, type FROM players WHERE id=$1 FOR UPDATE",
-      [String(merchantId)]
+    const r = await pool.query(
+      `SELECT id, username, status, pin_hash FROM players WHERE username=$1`,
+      [username]
     );
-    if (mr.rowCount === 0) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ error: "merchant not found" });
+    // même réponse si joueur inconnu ou PIN faux (pas d'énumération de comptes)
+    const player = r.rows[0];
+    const attempt = await reserveAttempt(pool, "PIN", lockoutSubjects(req, player?.id));
+    if (attempt.locked) return sendLocked(res, attempt.locked);
+    if (!player || !player.pin_hash || !verifyPin(String(pin).trim(), player.pin_hash)) {
+      if (attempt.lock) return sendLocked(res, attempt.lock);
+      return res.status(401).json({ error: "invalid credentials" });
     }
-    const merchant = mr.rows[0];
-    if (merchant.type !== "MERCHANT") {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ error: "not a MERCHANT" });
-    }
-    if (!merchant.pin_hash || !verifyPin(pin, merchant.pin_hash)) {
-      await client.query("ROLLBACK");
-      return res.status(401).json({ error: "bad pin" });
+    await attemptSucceeded(pool, attempt);
+    if (player.status !== "ACTIVE")
+      return res.status(403).json({ error: "player not active" });
+    // hash ancien format / coût scrypt relevé : refait avec le PIN qu'on vient de vérifier
+    if (pinNeedsRehash(player.pin_hash)) {
+      await pool.query(`UPDATE players SET pin_hash=$3 WHERE id=$1 AND pin_hash=$2`, [
+        player.id,
+        player.pin_hash,
+        hashPin(String(pin).trim()),
+      ]);
     }
 
-    const tr = await client.query(
-      "SELECT * FROM transfer_tickets WHERE code_hash=$1 FOR UPDATE",
-      [codeHash]
-    );
-    if (tr.rowCount === 0) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ error: "ticket not found" });
-    }
-    const t = tr.rows[0];
+    const session = await openPlayerSession(pool, player.id);
+    res.json({
+      ok: true,
+      player: { id: String(player.id), username: player.username },
+      ...session,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-    if (t.status !== "OPEN") {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ error: `ticket not OPEN (${t.status})` });
-    }
-    if (String(t.to_merchant_id) !== String(merchantId)) {
-      await client.query("ROLLBACK");
-      return res.status(403).json({ error: "ticket not for this merchant" });
-    }
+// POST /api/player/refresh { refreshToken } => nouveau token + nouveau refreshToken (rotation)
+app.post("/api/player/refresh", async (req, res) => {
+  try {
+    const [sid, secret] = String(req.body?.refreshToken || "").split(".");
+    if (!sid || !secret) return res.status(400).json({ error: "refreshToken required" });
 
-    const now = new Date();
-    if (new Date(t.expires_at).getTime() < now.getTime()) {
-      // ticket expiré => refund automatique
-      await client.query(
-        "UPDATE players SET balance_dos = balance_dos + $1 WHERE id=$2",
-        [String(t.amount_units), String(t.from_player_id)]
-      );
-      await client.query(
-        "UPDATE transfer_tickets SET status='EXPIRED' WHERE id=$1",
-        [String(t.id)]
+    const c = await pool.connect();
+    try {
+      await c.query("BEGIN");
+
+      const r = await c.query(
+        `SELECT s.id, s.player_id, s.refresh_hash, s.expires_at, s.revoked_at, p.status
+         FROM player_sessions s
+         JOIN players p ON p.id = s.player_id
+         WHERE s.id=$1
+         FOR UPDATE OF s`,
+        [sid]
       );
-      await client.query("COMMIT");
-      return res.status(400).json({ error: "ticket expired (refunded)" });
+      const sess = r.rows[0];
+      const a = Buffer.from(hashRefreshSecret(secret));
+      const b = Buffer.from(sess?.refresh_hash || "");
+      if (!sess || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        await c.query("ROLLBACK");
+        return res.status(401).json({ error: "invalid refresh token" });
+      }
+      if (sess.revoked_at || new Date(sess.expires_at).getTime() < Date.now()) {
+        await c.query("ROLLBACK");
+        return res.status(401).json({ error: "session expired or revoked" });
+      }
+      if (sess.status !== "ACTIVE") {
+        await c.query("ROLLBACK");
+        return res.status(403).json({ error: "player not active" });
+      }
+
+      const session = await openPlayerSession(c, sess.player_id, sess.id);
+      await c.query("COMMIT");
+      res.json({ ok: true, ...session });
+    } catch (e) {
+      await c.query("ROLLBACK");
+      throw e;
+    } finally {
+      c.release();
     }
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-    // crédit merchant net
-    await client.query(
-      "UPDATE players SET balance_dos = balance_dos + $1 WHERE id=$2",
-      [String(t.net_units), String(merchantId)]
-    );
+// POST /api/player/logout { all=false } (Bearer) : révoque la session (ou toutes)
+app.post("/api/player/logout", async (req, res) => {
+  try {
+    const player = await getAuthedPlayer(req);
+    if (!player) return res.status(401).json({ error: "unauthorized" });
 
-    // crédit ADMIN fee
-    const ar = await client.query(
-      "SELECT id FROM players WHERE username=$1 FOR UPDATE",
-      [ADMIN_USERNAME]
-    );
-    if (ar.rowCount === 0) throw new Error("ADMIN player missing");
-    await client.query(
-      "UPDATE players SET balance_dos = balance_dos + $1 WHERE id=$2",
-      [String(t.fee_units), String(ar.rows[0].id)]
+    const all = req.body?.all === true;
+    const r = await pool.query(
+      all
+        ? `UPDATE player_sessions SET revoked_at=NOW() WHERE player_id=$1 AND revoked_at IS NULL`
+        : `UPDATE player_sessions SET revoked_at=NOW() WHERE player_id=$1 AND id=$2 AND revoked_at IS NULL`,
+      all ? [player.id] : [player.id, player.sessionId]
     );
+    res.json({ ok: true, revoked: r.rowCount });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-    await client.query(
-      "UPDATE transfer_tickets SET status='REDEEMED', redeemed_at=now() WHERE id=$1",
-      [String(t.id)]
-    );
+// GET /api/player/me (Bearer)
+app.get("/api/player/me", async (req, res) => {
+  try {
+    const player = await getAuthedPlayer(req);
+    if (!player) return res.status(401).json({ error: "unauthorized" });
 
-    await client.query("COMMIT");
-    return res.json({
-      ok: true,
-      merchant_received_dos: formatUnitsToDos(t.net_units),
-      fee_dos: formatUnitsToDos(t.fee_units),
-    });
+    const r = await pool.query(
+      `SELECT id, username, balance_dos, status, type, created_at
+       FROM players WHERE id=$1`,
+      [player.id]
+    );
+    res.json({ ok: true, player: formatMoneyFields(r.rows[0], PLAYER_MONEY_FIELDS) });
   } catch (e) {
-    await client.query("ROLLBACK");
-    return res.status(500).json({ error: String(e.message || e) });
-  } finally {
-    client.release();
+    res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
 
+// POST /api/player/redeem { code } (Bearer, Idempotency-Key optionnel)
+app.post("/api/player/redeem", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+
+    const playerId = authed.id;
+    const idem = idempotencyRequest(req, "redeem", playerId);
+    if (idem?.error) return res.status(400).json({ error: idem.error });
+    const code = String(req.body?.code || "").trim();
+    if (!code) return res.status(400).json({ error: "code required" });
+
+    const codeHash = hashTicketCode(code);
+
+    const c = await pool.connect();
+    try {
+      await c.query("BEGIN");
+      // rejeu : avant les contrôles (le code est déjà REDEEMED par la 1re requête) et avant le
+      // compteur anti force brute (un rejeu n'est pas une tentative)
+      if (idem) {
+        const prior = await claimIdempotencyKey(c, idem, IDEMPOTENCY_TTL_MS);
+        if (prior) {
+          await c.query("ROLLBACK");
+          return sendIdempotent(res, prior);
+        }
+      }
+      const attempt = await reserveAttempt(pool, "GIFT", lockoutSubjects(req, playerId));
+      if (attempt.locked) {
+        await c.query("ROLLBACK");
+        return sendLocked(res, attempt.locked);
+      }
+
+      // lock gift code
+      const g = await c.query(
+        `SELECT id, value_dos, status, expires_at
+         FROM gift_codes
+         WHERE code_hash = $1
+         FOR UPDATE`,
+        [codeHash]
+      );
+      if (g.rowCount === 0) {
+        await c.query("ROLLBACK");
+        if (attempt.lock) return sendLocked(res, attempt.lock);
+        return res.status(404).json({ error: "code not found" });
+      }
+
+      const gc = g.rows[0];
+      if (gc.status !== "ACTIVE") {
+        await c.query("ROLLBACK");
+        await cancelAttempt(pool, attempt);
+        return res.status(409).json({ error: "code not active" });
+      }
+      if (gc.expires_at && Date.now() > new Date(gc.expires_at).getTime()) {
+        await c.query("ROLLBACK");
+        await cancelAttempt(pool, attempt);
+        return res.status(409).json({ error: "code expired" });
+      }
+
       // credit player
       const p = await c.query(
         `SELECT id, balance_dos, status
@@ -325,18 +1044,19 @@ app.post("/api/player/redeem", async (req, res) => {
          FOR UPDATE`,
         [playerId]
       );
-      if (p.rowCount === 0)
+      if (p.rowCount === 0) {
+        await c.query("ROLLBACK");
+        await cancelAttempt(pool, attempt);
         return res.status(404).json({ error: "player not found" });
-      if (p.rows[0].status !== "ACTIVE")
+      }
+      if (p.rows[0].status !== "ACTIVE") {
+        await c.query("ROLLBACK");
+        await cancelAttempt(pool, attempt);
         return res.status(403).json({ error: "player not active" });
+      }
 
-      const balanceBefore = Number(p.rows[0].balance_dos);
-      const value = Number(gc.value_dos);
-
-      await c.query(
-        `UPDATE players SET balance_dos = balance_dos + $1 WHERE id = $2`,
-        [value, playerId]
-      );
+      const balanceBefore = toUnits(p.rows[0].balance_dos);
+      const value = toUnits(gc.value_dos);
 
       await c.query(
         `UPDATE gift_codes
@@ -345,11 +1065,12 @@ app.post("/api/player/redeem", async (req, res) => {
         [playerId, gc.id]
       );
 
-      await c.query(
-        `INSERT INTO dos_ledger (player_id, type, amount, meta)
-         VALUES ($1, 'REDEEM', $2, $3::jsonb)`,
-        [playerId, value, JSON.stringify({ giftCodeId: gc.id })]
-      );
+      await applyBalanceChange(c, events, {
+        playerId,
+        type: "REDEEM",
+        amount: value,
+        meta: { giftCodeId: gc.id },
+      });
 
       const p2 = await c.query(
         `SELECT id, username, balance_dos, status, created_at
@@ -357,13 +1078,17 @@ app.post("/api/player/redeem", async (req, res) => {
         [playerId]
       );
 
-      await c.query("COMMIT");
-      res.json({
+      const body = {
         ok: true,
-        player: p2.rows[0],
-        balanceBefore,
-        balanceAfter: Number(p2.rows[0].balance_dos),
-      });
+        player: formatMoneyFields(p2.rows[0], PLAYER_MONEY_FIELDS),
+        value: formatUnitsToDos(value),
+        balanceBefore: formatUnitsToDos(balanceBefore),
+        balanceAfter: formatUnitsToDos(p2.rows[0].balance_dos),
+      };
+      if (idem) await saveIdempotentResponse(c, idem, 200, body);
+      await c.query("COMMIT");
+      await attemptSucceeded(pool, attempt);
+      res.json(body);
     } catch (e) {
       await c.query("ROLLBACK");
       throw e;
@@ -375,10 +1100,15 @@ app.post("/api/player/redeem", async (req, res) => {
   }
 });
 
-// GET /api/player/:id/ledger?limit=10
+// GET /api/player/:id/ledger?limit=10 (Bearer, :id = "me" ou son propre id)
 app.get("/api/player/:id/ledger", async (req, res) => {
   try {
-    const playerId = Number(req.params.id);
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+    if (req.params.id !== "me" && String(req.params.id) !== String(authed.id))
+      return res.status(403).json({ error: "forbidden" });
+
+    const playerId = authed.id;
     const limit = Math.max(1, Math.min(100, Number(req.query?.limit || 10)));
 
     const p = await pool.query(
@@ -390,7 +1120,7 @@ app.get("/api/player/:id/ledger", async (req, res) => {
       return res.status(404).json({ error: "player not found" });
 
     const r = await pool.query(
-      `SELECT id, type, amount, meta, created_at
+      `SELECT id, type, amount, balance_before, balance_after, meta, created_at
        FROM dos_ledger
        WHERE player_id = $1
        ORDER BY id DESC
@@ -400,123 +1130,1249 @@ app.get("/api/player/:id/ledger", async (req, res) => {
 
     res.json({
       ok: true,
-      player: p.rows[0],
+      player: formatMoneyFields(p.rows[0], PLAYER_MONEY_FIELDS),
       limit,
-      ledger: r.rows,
+      ledger: r.rows.map((row) => formatMoneyFields(row, ["amount", "balance_before", "balance_after"])),
     });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
-// ====== BET (mises illimitées par round, tant que solde OK) ======
-// POST /api/bet { playerId, nums:[..], chance, amount }
-app.post("/api/bet", async (req, res) => {
+// ====== MERCHANT ======
+
+// POST /api/merchant/ticket/redeem { merchantId, pin, ticket }
+app.post("/api/merchant/ticket/redeem", async (req, res) => {
+  const { merchantId, pin, ticket } = req.body || {};
+  if (!merchantId) return res.status(400).json({ error: "merchantId required" });
+  if (!pin) return res.status(400).json({ error: "pin required" });
+  if (!ticket) return res.status(400).json({ error: "ticket required" });
+
+  const codeHash = hashTicketCode(String(ticket));
+  const subjects = lockoutSubjects(req, merchantId);
+  // PIN et code : compteurs séparés, un seul bloqué suffit
+  let pinAttempt;
+  let ticketAttempt;
   try {
-    const nowMs = Date.now();
-    const round = getRoundInfo(nowMs);
+    pinAttempt = await reserveAttempt(pool, "PIN", subjects);
+    if (pinAttempt.locked) return sendLocked(res, pinAttempt.locked);
+    ticketAttempt = await reserveAttempt(pool, "TICKET", subjects);
+    if (ticketAttempt.locked) {
+      await cancelAttempt(pool, pinAttempt);
+      return sendLocked(res, ticketAttempt.locked);
+    }
+  } catch (e) {
+    return res.status(500).json({ error: String(e.message || e) });
+  }
 
-    if (!round.betsOpen) {
-      return res.status(409).json({
-        error: "bets closed",
-        roundId: round.roundId,
-        secToClose: round.secondsToClose,
-      });
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const mr = await client.query(
+      "SELECT id, pin_hash, type, status FROM players WHERE id=$1 FOR UPDATE",
+      [String(merchantId)]
+    );
+    if (mr.rowCount === 0) {
+      await client.query("ROLLBACK");
+      await cancelAttempt(pool, pinAttempt);
+      await cancelAttempt(pool, ticketAttempt);
+      return res.status(404).json({ error: "merchant not found" });
+    }
+    const merchant = mr.rows[0];
+    if (merchant.type !== "MERCHANT") {
+      await client.query("ROLLBACK");
+      await cancelAttempt(pool, pinAttempt);
+      await cancelAttempt(pool, ticketAttempt);
+      return res.status(400).json({ error: "not a MERCHANT" });
+    }
+    if (merchant.status !== "ACTIVE") {
+      await client.query("ROLLBACK");
+      await cancelAttempt(pool, pinAttempt);
+      await cancelAttempt(pool, ticketAttempt);
+      return res.status(403).json({ error: "merchant not active" });
+    }
+    if (!merchant.pin_hash || !verifyPin(pin, merchant.pin_hash)) {
+      await client.query("ROLLBACK");
+      await cancelAttempt(pool, ticketAttempt);
+      if (pinAttempt.lock) return sendLocked(res, pinAttempt.lock);
+      return res.status(401).json({ error: "bad pin" });
     }
+    await attemptSucceeded(pool, pinAttempt);
 
-    const playerId = Number(req.body?.playerId);
-    const amount = Number(req.body?.amount);
-    const nums = Array.isArray(req.body?.nums) ? req.body.nums.map(Number) : [];
-    const chance = Number(req.body?.chance);
+    const tr = await client.query(
+      "SELECT * FROM transfer_tickets WHERE code_hash=$1 FOR UPDATE",
+      [codeHash]
+    );
+    // code inconnu ou d'un autre marchand = tentative de devinette
+    if (tr.rowCount === 0 || String(tr.rows[0].to_merchant_id) !== String(merchantId)) {
+      await client.query("ROLLBACK");
+      if (ticketAttempt.lock) return sendLocked(res, ticketAttempt.lock);
+      return tr.rowCount === 0
+        ? res.status(404).json({ error: "ticket not found" })
+        : res.status(403).json({ error: "ticket not for this merchant" });
+    }
+    const t = tr.rows[0];
 
-    if (!Number.isFinite(playerId) || playerId <= 0)
-      return res.status(400).json({ error: "playerId required" });
-    if (!Number.isFinite(amount) || amount <= 0)
-      return res.status(400).json({ error: "amount invalid" });
+    if (t.status !== "OPEN") {
+      await client.query("ROLLBACK");
+      await cancelAttempt(pool, ticketAttempt);
+      return res.status(400).json({ error: `ticket not OPEN (${t.status})` });
+    }
 
-    // validation nums 4..8 (ton UI montre max 8)
-    const nn = normalizeNums(nums);
-    if (nn.length < 4 || nn.length > 8)
-      return res.status(400).json({ error: "nums length must be 4..8 unique" });
-    if (nn.some((n) => n < 1 || n > 20))
-      return res.status(400).json({ error: "nums must be 1..20" });
+    const now = new Date();
+    if (new Date(t.expires_at).getTime() < now.getTime()) {
+      // ticket expiré (pas encore vu par le job d'expiration) => refund automatique
+      await refundTicket(client, events, t, "EXPIRED");
+      await client.query("COMMIT");
+      await cancelAttempt(pool, ticketAttempt);
+      return res.status(400).json({ error: "ticket expired (refunded)" });
+    }
 
-    // chance 1..5 (mais ta règle “min 1 max 3” côté UI, serveur accepte 1..5)
-    if (!Number.isFinite(chance) || chance < 1 || chance > 5)
-      return res.status(400).json({ error: "chance must be 1..5" });
+    // crédit merchant net
+    const ticketMeta = { ticketId: String(t.id), fromPlayerId: String(t.from_player_id) };
+    await applyBalanceChange(client, events, {
+      playerId: merchantId,
+      type: "TICKET_REDEEM",
+      amount: toUnits(t.net_units),
+      meta: ticketMeta,
+      event: { ticketId: ticketMeta.ticketId },
+    });
 
-    const choice = choiceKey(nn, chance);
+    // crédit ADMIN fee
+    const ar = await client.query(
+      "SELECT id FROM players WHERE username=$1 FOR UPDATE",
+      [ADMIN_USERNAME]
+    );
+    if (ar.rowCount === 0) throw new Error("ADMIN player missing");
+    await applyBalanceChange(client, events, {
+      playerId: ar.rows[0].id,
+      type: "TICKET_FEE",
+      amount: toUnits(t.fee_units),
+      meta: { ...ticketMeta, merchantId: String(merchantId) },
+      event: false,
+    });
 
-    const c = await pool.connect();
-    try {
-      await c.query("BEGIN");
+    await client.query(
+      "UPDATE transfer_tickets SET status='REDEEMED', redeemed_at=now() WHERE id=$1",
+      [String(t.id)]
+    );
 
-      // lock player
-      const p = await c.query(
-        `SELECT id, balance_dos, status
-         FROM players
-         WHERE id=$1
-         FOR UPDATE`,
-        [playerId]
-      );
-      if (p.rowCount === 0)
-        return res.status(404).json({ error: "player not found" });
-      if (p.rows[0].status !== "ACTIVE")
-        return res.status(403).json({ error: "player not active" });
+    await client.query("COMMIT");
+    await attemptSucceeded(pool, ticketAttempt);
+    return res.json({
+      ok: true,
+      merchant_received_dos: formatUnitsToDos(t.net_units),
+      fee_dos: formatUnitsToDos(t.fee_units),
+    });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    return res.status(500).json({ error: String(e.message || e) });
+  } finally {
+    client.release();
+  }
+});
 
-      const balanceBefore = Number(p.rows[0].balance_dos);
-      if (balanceBefore < amount)
-        return res.status(409).json({
-          error: "insufficient balance",
-          balance: balanceBefore,
-        });
+// Bearer d'un compte MERCHANT (login via /api/player/login) ; null sinon
+async function getAuthedMerchant(req) {
+  const p = await getAuthedPlayer(req);
+  return p && p.type === "MERCHANT" ? p : null;
+}
 
-      // debit
-      await c.query(
-        `UPDATE players SET balance_dos = balance_dos - $1 WHERE id=$2`,
-        [amount, playerId]
-      );
+const TICKET_STATUSES = ["OPEN", "REDEEMED", "EXPIRED", "CANCELLED"];
 
-      // insert bet (illimité, pas de blocage par round)
-      const b = await c.query(
-        `INSERT INTO bets (player_id, round_id, nums, chance, choice, amount)
-         VALUES ($1, $2, $3::int[], $4, $5, $6)
-         RETURNING id, player_id, round_id, nums, chance, choice, amount, created_at`,
-        [playerId, round.roundId, nn, chance, choice, amount]
-      );
+function formatMerchant(row) {
+  return {
+    id: String(row.id),
+    username: row.username,
+    displayName: row.display_name,
+    city: row.city,
+    address: row.address,
+    phone: row.phone,
+    status: row.status,
+    canResetPins: row.can_reset_pins,
+    createdAt: row.created_at,
+  };
+}
 
-      // ledger
-      await c.query(
-        `INSERT INTO dos_ledger (player_id, type, amount, meta)
-         VALUES ($1, 'BET', $2, $3::jsonb)`,
-        [
-          playerId,
-          -amount,
-          JSON.stringify({ betId: b.rows[0].id, choice, roundId: round.roundId }),
-        ]
-      );
+const MERCHANT_SELECT_SQL = `
+  SELECT p.id, p.username, p.status, p.balance_dos, m.display_name, m.city, m.address, m.phone,
+         m.can_reset_pins, m.created_by, m.suspended_at, m.suspended_by, m.suspended_reason, m.created_at
+  FROM merchants m
+  JOIN players p ON p.id = m.player_id`;
 
-      const p2 = await c.query(
-        `SELECT balance_dos FROM players WHERE id=$1`,
-        [playerId]
-      );
+// GET /api/merchants?city=&q= (public) : annuaire des marchands actifs (pour /api/player/ticket/generate)
+app.get("/api/merchants", async (req, res) => {
+  try {
+    const city = req.query?.city ? String(req.query.city).trim() : null;
+    const q = req.query?.q ? String(req.query.q).trim().slice(0, 64) : null;
+    const r = await pool.query(
+      `${MERCHANT_SELECT_SQL}
+       WHERE p.type = 'MERCHANT' AND p.status = 'ACTIVE'
+         AND ($1::text IS NULL OR lower(m.city) = lower($1))
+         AND ($2::text IS NULL OR m.display_name ILIKE '%' || $2 || '%' OR p.username ILIKE '%' || $2 || '%')
+       ORDER BY m.display_name ASC
+       LIMIT 200`,
+      [city, q]
+    );
+    res.json({ ok: true, merchants: r.rows.map(formatMerchant) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-      await c.query("COMMIT");
-      res.json({
-        ok: true,
+// GET /api/merchant/tickets?status=OPEN|REDEEMED|EXPIRED|CANCELLED&limit=50&beforeId= (Bearer marchand)
+// tickets reçus (du plus récent au plus ancien) + totaux par statut (tous tickets, pas seulement la page)
+app.get("/api/merchant/tickets", async (req, res) => {
+  try {
+    const merchant = await getAuthedMerchant(req);
+    if (!merchant) return res.status(401).json({ error: "unauthorized" });
+
+    const status = req.query?.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !TICKET_STATUSES.includes(status))
+      return res.status(400).json({ error: `status must be ${TICKET_STATUSES.join(", ")}` });
+    const limit = Math.max(1, Math.min(200, Number(req.query?.limit || 50)));
+    const beforeId = req.query?.beforeId ? Number(req.query.beforeId) : null;
+    if (beforeId != null && !Number.isInteger(beforeId))
+      return res.status(400).json({ error: "beforeId invalid" });
+
+    const r = await pool.query(
+      `SELECT t.id, t.status, t.amount_units, t.fee_units, t.net_units, t.expires_at, t.redeemed_at, t.created_at,
+              p.username AS from_username
+       FROM transfer_tickets t
+       LEFT JOIN players p ON p.id = t.from_player_id
+       WHERE t.to_merchant_id = $1
+         AND ($2::text IS NULL OR t.status = $2)
+         AND ($3::bigint IS NULL OR t.id < $3)
+       ORDER BY t.id DESC
+       LIMIT $4`,
+      [merchant.id, status, beforeId, limit]
+    );
+    const totalsR = await pool.query(
+      `SELECT status, COUNT(*) AS count,
+              COALESCE(SUM(amount_units), 0) AS amount, COALESCE(SUM(fee_units), 0) AS fee,
+              COALESCE(SUM(net_units), 0) AS net
+       FROM transfer_tickets
+       WHERE to_merchant_id = $1
+       GROUP BY status`,
+      [merchant.id]
+    );
+    const byStatus = new Map(totalsR.rows.map((t) => [t.status, t]));
+    const totals = Object.fromEntries(
+      TICKET_STATUSES.map((st) => {
+        const t = byStatus.get(st);
+        return [
+          st,
+          {
+            count: Number(t?.count || 0),
+            amount: formatUnitsToDos(t?.amount || 0),
+            fee: formatUnitsToDos(t?.fee || 0),
+            net: formatUnitsToDos(t?.net || 0),
+          },
+        ];
+      })
+    );
+
+    res.json({
+      ok: true,
+      merchant: { id: String(merchant.id), username: merchant.username },
+      limit,
+      totals,
+      tickets: r.rows.map((t) => ({
+        id: t.id,
+        status: t.status,
+        from_username: t.from_username,
+        amount_dos: formatUnitsToDos(t.amount_units),
+        fee_dos: formatUnitsToDos(t.fee_units),
+        net_dos: formatUnitsToDos(t.net_units),
+        expires_at: t.expires_at,
+        redeemed_at: t.redeemed_at,
+        created_at: t.created_at,
+      })),
+      nextBeforeId: r.rows.length === limit ? r.rows[r.rows.length - 1].id : null,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/admin/merchants { username, pin, displayName, city?, address?, phone?, canResetPins? }
+// crée un compte MERCHANT (login par /api/player/login avec ce PIN) et son profil
+app.post("/api/admin/merchants", requireAdmin("players"), async (req, res) => {
+  const username = String(req.body?.username || "").trim();
+  if (!username || username.length > 64) return res.status(400).json({ error: "username required (max 64 chars)" });
+  const pin = String(req.body?.pin ?? "").trim();
+  const badPin = pinError(pin);
+  if (badPin) return res.status(400).json({ error: badPin });
+  const displayName = String(req.body?.displayName || "").trim();
+  if (!displayName || displayName.length > 80)
+    return res.status(400).json({ error: "displayName required (max 80 chars)" });
+  const opt = (v, max) => (v == null || String(v).trim() === "" ? null : String(v).trim().slice(0, max));
+
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const p = await c.query(
+      `INSERT INTO players (username, balance_dos, type, pin_hash)
+       VALUES ($1, 0, 'MERCHANT', $2)
+       ON CONFLICT (username) DO NOTHING
+       RETURNING id`,
+      [username, hashPin(pin)]
+    );
+    if (p.rowCount === 0) {
+      await c.query("ROLLBACK");
+      return res.status(409).json({ error: "username already exists" });
+    }
+    await c.query(
+      `INSERT INTO merchants (player_id, display_name, city, address, phone, can_reset_pins, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        p.rows[0].id,
+        displayName,
+        opt(req.body?.city, 80),
+        opt(req.body?.address, 200),
+        opt(req.body?.phone, 32),
+        req.body?.canResetPins === true,
+        adminActor(req),
+      ]
+    );
+    const r = await c.query(`${MERCHANT_SELECT_SQL} WHERE m.player_id=$1`, [p.rows[0].id]);
+    await c.query("COMMIT");
+    res.json({ ok: true, merchant: formatMerchant(r.rows[0]) });
+  } catch (e) {
+    await c.query("ROLLBACK");
+    res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    c.release();
+  }
+});
+
+// GET /api/admin/merchants?status=ACTIVE|SUSPENDED : tous les marchands, solde et tickets ouverts
+app.get("/api/admin/merchants", requireAdmin("players"), async (req, res) => {
+  try {
+    const status = req.query?.status ? String(req.query.status).toUpperCase() : null;
+    const r = await pool.query(
+      `SELECT x.*,
+              (SELECT COUNT(*) FROM transfer_tickets t WHERE t.to_merchant_id = x.id AND t.status = 'OPEN') AS open_tickets
+       FROM (${MERCHANT_SELECT_SQL}) x
+       WHERE ($1::text IS NULL OR x.status = $1)
+       ORDER BY x.id ASC`,
+      [status]
+    );
+    res.json({
+      ok: true,
+      merchants: r.rows.map((row) => ({
+        ...formatMerchant(row),
+        balance: formatUnitsToDos(row.balance_dos),
+        openTickets: Number(row.open_tickets),
+        createdBy: row.created_by,
+        suspended: row.suspended_at
+          ? { at: row.suspended_at, by: row.suspended_by, reason: row.suspended_reason }
+          : null,
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/admin/merchants/:id/suspend { reason } : plus de login (sessions révoquées), de tickets ni d'encaissement
+// POST /api/admin/merchants/:id/reactivate
+async function setMerchantStatus(req, res, suspend) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "merchant id invalid" });
+  const reason = String(req.body?.reason ?? "").trim();
+  if (suspend && !reason) return res.status(400).json({ error: "reason required" });
+  if (reason.length > 500) return res.status(400).json({ error: "reason too long (max 500)" });
+
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const p = await c.query(
+      `SELECT p.id, p.status FROM players p JOIN merchants m ON m.player_id = p.id
+       WHERE p.id=$1 AND p.type = 'MERCHANT'
+       FOR UPDATE OF p`,
+      [id]
+    );
+    if (p.rowCount === 0) {
+      await c.query("ROLLBACK");
+      return res.status(404).json({ error: "merchant not found" });
+    }
+    const target = suspend ? "SUSPENDED" : "ACTIVE";
+    if (p.rows[0].status === target) {
+      await c.query("ROLLBACK");
+      return res.status(409).json({ error: `merchant already ${target.toLowerCase()}` });
+    }
+
+    await c.query(`UPDATE players SET status=$2 WHERE id=$1`, [id, target]);
+    await c.query(
+      `UPDATE merchants
+       SET suspended_at = $2, suspended_by = $3, suspended_reason = $4, updated_at = NOW()
+       WHERE player_id=$1`,
+      suspend ? [id, new Date().toISOString(), adminActor(req), reason] : [id, null, null, null]
+    );
+    if (suspend) {
+      await c.query(`UPDATE player_sessions SET revoked_at=NOW() WHERE player_id=$1 AND revoked_at IS NULL`, [id]);
+    }
+    const open = await c.query(
+      `SELECT COUNT(*) AS n FROM transfer_tickets WHERE to_merchant_id=$1 AND status='OPEN'`,
+      [id]
+    );
+    const r = await c.query(`${MERCHANT_SELECT_SQL} WHERE m.player_id=$1`, [id]);
+    await c.query("COMMIT");
+    res.json({ ok: true, merchant: formatMerchant(r.rows[0]), openTickets: Number(open.rows[0].n) });
+  } catch (e) {
+    await c.query("ROLLBACK");
+    res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    c.release();
+  }
+}
+app.post("/api/admin/merchants/:id/suspend", requireAdmin("players"), (req, res) => setMerchantStatus(req, res, true));
+app.post("/api/admin/merchants/:id/reactivate", requireAdmin("players"), (req, res) => setMerchantStatus(req, res, false));
+
+// POST /api/admin/merchants/:id/pin-resets { allowed } : autorise le marchand à réinitialiser des PIN
+app.post("/api/admin/merchants/:id/pin-resets", requireAdmin("players"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "merchant id invalid" });
+    if (typeof req.body?.allowed !== "boolean") return res.status(400).json({ error: "allowed must be a boolean" });
+
+    const u = await pool.query(
+      `UPDATE merchants SET can_reset_pins=$2, updated_at=NOW() WHERE player_id=$1 RETURNING player_id`,
+      [id, req.body.allowed]
+    );
+    if (!u.rows.length) return res.status(404).json({ error: "merchant not found" });
+    const r = await pool.query(`${MERCHANT_SELECT_SQL} WHERE m.player_id=$1`, [id]);
+    res.json({ ok: true, merchant: formatMerchant(r.rows[0]) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ====== PIN RESET ======
+// Le PIN est effacé (plus de login ni de ticket), les sessions révoquées, et un code à usage unique
+// est rendu : le joueur pose son nouveau PIN avec /api/player/set-pin { username, code, pin }.
+
+// ligne players verrouillée par l'appelant ; => { code, expiresAt }
+async function resetPlayerPin(c, playerId, createdBy) {
+  await c.query(`UPDATE players SET pin_hash=NULL WHERE id=$1`, [playerId]);
+  await c.query(`UPDATE player_sessions SET revoked_at=NOW() WHERE player_id=$1 AND revoked_at IS NULL`, [playerId]);
+  return issuePinSetupCode(c, playerId, { purpose: "RESET", createdBy, ttlMinutes: PIN_SETUP_TTL_MINUTES });
+}
+
+// POST /api/admin/players/:id/reset-pin => { setupCode: { code, expiresAt } }
+app.post("/api/admin/players/:id/reset-pin", requireAdmin("players"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: "player id invalid" });
+
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const p = await c.query(`SELECT id, username FROM players WHERE id=$1 FOR UPDATE`, [id]);
+    if (p.rowCount === 0) {
+      await c.query("ROLLBACK");
+      return res.status(404).json({ error: "player not found" });
+    }
+    const setupCode = await resetPlayerPin(c, id, adminActor(req));
+    await c.query("COMMIT");
+    await clearFailures(pool, "PIN", playerSubject(id));
+    res.json({ ok: true, player: { id: String(id), username: p.rows[0].username }, setupCode });
+  } catch (e) {
+    await c.query("ROLLBACK");
+    res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    c.release();
+  }
+});
+
+// POST /api/merchant/players/reset-pin { username } (Bearer marchand autorisé, comptes PLAYER seulement)
+app.post("/api/merchant/players/reset-pin", async (req, res) => {
+  try {
+    const merchant = await getAuthedMerchant(req);
+    if (!merchant) return res.status(401).json({ error: "unauthorized" });
+    const username = String(req.body?.username || "").trim();
+    if (!username) return res.status(400).json({ error: "username required" });
+
+    const c = await pool.connect();
+    try {
+      await c.query("BEGIN");
+      const m = await c.query(`SELECT can_reset_pins FROM merchants WHERE player_id=$1`, [merchant.id]);
+      if (!m.rows[0]?.can_reset_pins) {
+        await c.query("ROLLBACK");
+        return res.status(403).json({ error: "merchant not allowed to reset pins" });
+      }
+      const p = await c.query(`SELECT id, username, type FROM players WHERE username=$1 FOR UPDATE`, [username]);
+      if (p.rowCount === 0 || p.rows[0].type !== "PLAYER") {
+        await c.query("ROLLBACK");
+        return res.status(404).json({ error: "player not found" });
+      }
+      const player = p.rows[0];
+      const setupCode = await resetPlayerPin(c, player.id, `merchant:${merchant.id}`);
+      await c.query("COMMIT");
+      await clearFailures(pool, "PIN", playerSubject(player.id));
+      res.json({ ok: true, player: { id: String(player.id), username: player.username }, setupCode });
+    } catch (e) {
+      await c.query("ROLLBACK");
+      throw e;
+    } finally {
+      c.release();
+    }
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ====== BET (mises illimitées par round, tant que solde OK) ======
+// Une grille de plus de drawCount numéros et/ou plusieurs chances = pari "système" : développé en
+// C(n, drawCount) x chances combinaisons, chacune payée `amount` et réglée seule.
+// `game` (id ou code) choisit le jeu, défaut : le jeu classique.
+
+// POST /api/bet/quote { game?, nums:[..], chances:[..] | chance, amount } => prix sans parier
+app.post("/api/bet/quote", (req, res) => {
+  const g = resolveGame(req);
+  if (g.error) {
+    const { status, ...body } = g;
+    return res.status(status).json(body);
+  }
+  const q = parseBetRequest(req.body, g.game);
+  if (q.error) return res.status(400).json({ error: q.error });
+  res.json({ ok: true, ...formatBetQuote(q) });
+});
+
+// Place une grille (simple ou système) sur roundId (un round du jeu q.game), dans la transaction de `c`.
+// opts.subscription = { id, prepaid } : pari créé par un abonnement (prepaid => déjà débité)
+// opts.meta = infos ajoutées à l'écriture du ledger (ex { favouriteId })
+// => { status, error, ... } | { system, bets, balanceBefore, balanceAfter }
+async function placeBet(c, playerId, roundId, q, opts = {}) {
+  const amount = q.total;
+  const isSystem = q.lines.length > 1;
+  const sub = opts.subscription || null;
+  const prepaid = !!sub?.prepaid;
+
+  // verrou partagé du round avant le joueur (même ordre que void / règlement : round puis joueurs) :
+  // un void ne peut pas commiter entre le contrôle round_voids ci-dessous et l'INSERT du pari
+  await lockRoundShared(c, roundId);
+
+  // lock player
+  const p = await c.query(
+    `SELECT id, balance_dos, status
+     FROM players
+     WHERE id=$1
+     FOR UPDATE`,
+    [playerId]
+  );
+  if (p.rowCount === 0) return { status: 404, error: "player not found" };
+  if (p.rows[0].status !== "ACTIVE") return { status: 403, error: "player not active" };
+
+  const v = await c.query(`SELECT 1 FROM round_voids WHERE round_id=$1`, [roundId]);
+  if (v.rowCount > 0) return { status: 409, error: "round void", roundId };
+
+  const balanceBefore = toUnits(p.rows[0].balance_dos);
+  if (!prepaid && balanceBefore < amount) {
+    return {
+      status: 409,
+      error: "insufficient balance",
+      balance: formatUnitsToDos(balanceBefore),
+      ...formatBetQuote(q),
+    };
+  }
+
+  // cote fixe : le pire cas des paris non réglés du jeu, celui-ci compris, doit tenir dans la réserve
+  if (q.game.prizeMode === "FIXED") {
+    const x = await loadExposure(c, q.game, { lock: true });
+    if (worstCasePayout(q.game, x.openStakes + amount) > x.reserve) {
+      return {
+        status: 409,
+        error: "liability cap reached",
+        maxStake: formatUnitsToDos(maxStakeFor(q.game, x.available)),
+        ...formatBetQuote(q),
+      };
+    }
+  }
+
+  let system = null;
+  if (isSystem) {
+    const sr = await c.query(
+      `INSERT INTO bet_systems (player_id, round_id, nums, chances, lines, stake_per_line, total_amount)
+       VALUES ($1, $2, $3::int[], $4::int[], $5, $6, $7)
+       RETURNING id, player_id, round_id, nums, chances, lines, stake_per_line, total_amount, created_at`,
+      [playerId, roundId, q.nums, q.chances, q.lines.length, String(q.stake), String(amount)]
+    );
+    system = sr.rows[0];
+  }
+
+  // une ligne de bets par combinaison (insert unique, jusqu'à 70 x 5 lignes)
+  const b = await c.query(
+    `INSERT INTO bets (player_id, round_id, nums, chance, choice, amount, system_id, subscription_id, game_id)
+     SELECT $1, $2, x.nums::int[], x.chance, x.choice, $3, $4, $5, $9
+     FROM unnest($6::text[], $7::int[], $8::text[]) AS x(nums, chance, choice)
+     RETURNING id, player_id, round_id, game_id, nums, chance, choice, amount, system_id, subscription_id, created_at`,
+    [
+      playerId,
+      roundId,
+      String(q.stake),
+      system?.id ?? null,
+      sub?.id ?? null,
+      q.lines.map((l) => `{${l.nums.join(",")}}`),
+      q.lines.map((l) => l.chance),
+      q.lines.map((l) => l.choice),
+      q.game.id,
+    ]
+  );
+
+  // débit + ledger (une seule écriture pour tout le système ; 0 si payé d'avance par l'abonnement)
+  const link = isSystem ? { systemId: system.id, lines: q.lines.length } : { betId: b.rows[0].id, choice: b.rows[0].choice };
+  const debit = await applyBalanceChange(c, events, {
+    playerId,
+    type: "BET",
+    amount: prepaid ? 0n : -amount,
+    meta: {
+      ...link,
+      roundId,
+      game: q.game.code,
+      ...(sub ? { subscriptionId: sub.id } : {}),
+      ...(prepaid ? { prepaid: formatUnitsToDos(amount) } : {}),
+      ...(opts.meta || {}),
+    },
+    event: prepaid ? false : link,
+  });
+
+  return {
+    system,
+    bets: b.rows,
+    balanceBefore,
+    balanceAfter: debit.after,
+  };
+}
+
+// POST /api/bet { game?, nums:[..], chances:[..] | chance, amount } (Bearer) ; amount = mise par combinaison
+app.post("/api/bet", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+
+    // rejeu d'un pari déjà placé : même si les mises du round sont fermées depuis
+    const idem = idempotencyRequest(req, "bet", authed.id);
+    if (idem?.error) return res.status(400).json({ error: idem.error });
+    if (idem) {
+      const prior = await findIdempotentResponse(pool, idem);
+      if (prior) return sendIdempotent(res, prior);
+    }
+
+    const g = resolveGame(req, { active: true });
+    if (g.error) {
+      const { status, ...body } = g;
+      return res.status(status).json(body);
+    }
+    const nowMs = Date.now();
+    const round = getRoundInfo(nowMs, g.game.id);
+
+    if (!round.betsOpen) {
+      return res.status(409).json({
+        error: "bets closed",
         roundId: round.roundId,
-        bet: b.rows[0],
-        balanceBefore,
-        balanceAfter: Number(p2.rows[0].balance_dos),
+        secToClose: round.secondsToClose,
       });
+    }
+
+    const q = parseBetRequest(req.body, g.game);
+    if (q.error) return res.status(400).json({ error: q.error });
+
+    const c = await pool.connect();
+    try {
+      await c.query("BEGIN");
+      if (idem) {
+        const prior = await claimIdempotencyKey(c, idem, IDEMPOTENCY_TTL_MS);
+        if (prior) {
+          await c.query("ROLLBACK");
+          return sendIdempotent(res, prior);
+        }
+      }
+      const r = await placeBet(c, authed.id, round.roundId, q);
+      if (r.error) {
+        await c.query("ROLLBACK");
+        const { status, ...body } = r;
+        return res.status(status).json(body);
+      }
+
+      const body = {
+        ok: true,
+        game: g.game.code,
+        roundId: round.roundId,
+        ...(r.system
+          ? {
+              system: formatMoneyFields(r.system, ["stake_per_line", "total_amount"]),
+              bets: r.bets.map((row) => formatMoneyFields(row, ["amount"])),
+            }
+          : { bet: formatMoneyFields(r.bets[0], ["amount"]) }),
+        balanceBefore: formatUnitsToDos(r.balanceBefore),
+        balanceAfter: formatUnitsToDos(r.balanceAfter),
+      };
+      if (idem) await saveIdempotentResponse(c, idem, 200, body);
+      await c.query("COMMIT");
+      res.json(body);
+    } catch (e) {
+      await c.query("ROLLBACK");
+      throw e;
+    } finally {
+      c.release();
+    }
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// Plusieurs grilles sur le round ouvert d'un jeu, tout ou rien (une transaction).
+// items = [{ q, meta }] (q.game = game) => { status, body }
+async function placeBetBatch(playerId, game, items) {
+  const round = getRoundInfo(Date.now(), game.id);
+  if (!round.betsOpen) {
+    return {
+      status: 409,
+      body: { error: "bets closed", roundId: round.roundId, secToClose: round.secondsToClose },
+    };
+  }
+
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const placed = [];
+    let balanceBefore = null;
+    let balanceAfter = null;
+    for (const { q, meta } of items) {
+      const r = await placeBet(c, playerId, round.roundId, q, { meta });
+      if (r.error) {
+        await c.query("ROLLBACK");
+        const { status, ...body } = r;
+        // solde d'avant la requête (les grilles précédentes sont annulées)
+        if (body.balance != null && balanceBefore != null) body.balance = formatUnitsToDos(balanceBefore);
+        return { status, body: { ...body, grid: { nums: q.nums, chances: q.chances } } };
+      }
+      if (balanceBefore == null) balanceBefore = r.balanceBefore;
+      balanceAfter = r.balanceAfter;
+      placed.push({
+        ...formatBetQuote(q),
+        ...meta,
+        system: r.system ? formatMoneyFields(r.system, ["stake_per_line", "total_amount"]) : null,
+        betIds: r.bets.map((b) => b.id),
+      });
+    }
+    await c.query("COMMIT");
+
+    return {
+      status: 200,
+      body: {
+        ok: true,
+        game: game.code,
+        roundId: round.roundId,
+        grids: placed,
+        total: formatUnitsToDos(items.reduce((s, { q }) => s + q.total, 0n)),
+        balanceBefore: formatUnitsToDos(balanceBefore),
+        balanceAfter: formatUnitsToDos(balanceAfter),
+      },
+    };
+  } catch (e) {
+    await c.query("ROLLBACK");
+    throw e;
+  } finally {
+    c.release();
+  }
+}
+
+// tailles "flash" : size = nb de numéros (drawCount..pickMax), chances = nb de chances (1..chanceMax),
+// grids = nb de grilles
+function parseQuickPickOptions(src, game) {
+  const size = Number(src?.size ?? game.drawCount);
+  const chanceCount = Number(src?.chances ?? 1);
+  const grids = Number(src?.grids ?? 1);
+  if (!Number.isInteger(size) || size < game.drawCount || size > game.pickMax)
+    return { error: `size must be ${game.drawCount}..${game.pickMax}` };
+  if (!Number.isInteger(chanceCount) || chanceCount < 1 || chanceCount > game.chanceMax)
+    return { error: `chances must be 1..${game.chanceMax}` };
+  if (!Number.isInteger(grids) || grids < 1 || grids > MAX_GRIDS_PER_REQUEST)
+    return { error: `grids must be 1..${MAX_GRIDS_PER_REQUEST}` };
+  return { size, chanceCount, grids };
+}
+
+// GET /api/bet/quickpick?game=&size=4&chances=1&grids=1 => grilles aléatoires (sans parier)
+app.get("/api/bet/quickpick", (req, res) => {
+  const g = resolveGame(req);
+  if (g.error) {
+    const { status, ...body } = g;
+    return res.status(status).json(body);
+  }
+  const o = parseQuickPickOptions(req.query, g.game);
+  if (o.error) return res.status(400).json({ error: o.error });
+  const grids = Array.from({ length: o.grids }, () => quickPickGrid(g.game, o.size, o.chanceCount));
+  res.json({ ok: true, game: g.game.code, grids });
+});
+
+// POST /api/bet/flash { game?, amount, size?, chances?, grids? } (Bearer) : génère et joue
+app.post("/api/bet/flash", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+
+    const g = resolveGame(req, { active: true });
+    if (g.error) {
+      const { status, ...body } = g;
+      return res.status(status).json(body);
+    }
+    const o = parseQuickPickOptions(req.body, g.game);
+    if (o.error) return res.status(400).json({ error: o.error });
+    const stake = parseStake(req.body?.amount);
+    if (stake == null) return res.status(400).json({ error: "amount invalid" });
+
+    const items = Array.from({ length: o.grids }, () => ({
+      q: expandGrid(quickPickGrid(g.game, o.size, o.chanceCount), stake, g.game),
+      meta: { quickPick: true },
+    }));
+    const r = await placeBetBatch(authed.id, g.game, items);
+    res.status(r.status).json(r.body);
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ====== FAVOURITES (grilles favorites) ======
+
+// GET /api/player/favourites (Bearer)
+app.get("/api/player/favourites", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+    const r = await pool.query(
+      `SELECT f.id, f.name, g.code AS game, f.nums, f.chances, f.created_at
+       FROM favourite_grids f
+       JOIN games g ON g.id = f.game_id
+       WHERE f.player_id=$1
+       ORDER BY f.name ASC`,
+      [authed.id]
+    );
+    res.json({ ok: true, favourites: r.rows });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/player/favourites { name, game?, nums, chances | chance } (Bearer) ; même nom => remplacée
+app.post("/api/player/favourites", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+
+    const name = String(req.body?.name || "").trim();
+    if (!name || name.length > 40) return res.status(400).json({ error: "name required (max 40 chars)" });
+    const g = resolveGame(req);
+    if (g.error) {
+      const { status, ...body } = g;
+      return res.status(status).json(body);
+    }
+    const grid = parseGrid(req.body, g.game);
+    if (grid.error) return res.status(400).json({ error: grid.error });
+
+    const n = await pool.query(
+      `SELECT COUNT(*)::int AS n FROM favourite_grids WHERE player_id=$1 AND name<>$2`,
+      [authed.id, name]
+    );
+    if (n.rows[0].n >= MAX_FAVOURITES) {
+      return res.status(409).json({ error: `max ${MAX_FAVOURITES} favourites` });
+    }
+
+    const r = await pool.query(
+      `INSERT INTO favourite_grids (player_id, name, nums, chances, game_id)
+       VALUES ($1, $2, $3::int[], $4::int[], $5)
+       ON CONFLICT (player_id, name)
+       DO UPDATE SET nums = EXCLUDED.nums, chances = EXCLUDED.chances, game_id = EXCLUDED.game_id
+       RETURNING id, name, nums, chances, created_at`,
+      [authed.id, name, grid.nums, grid.chances, g.game.id]
+    );
+    res.json({ ok: true, favourite: { ...r.rows[0], game: g.game.code } });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// DELETE /api/player/favourites/:id (Bearer)
+app.delete("/api/player/favourites/:id", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+    if (!/^\d+$/.test(String(req.params.id))) return res.status(400).json({ error: "invalid id" });
+
+    const r = await pool.query(
+      `DELETE FROM favourite_grids WHERE id=$1 AND player_id=$2 RETURNING id`,
+      [req.params.id, authed.id]
+    );
+    if (r.rowCount === 0) return res.status(404).json({ error: "favourite not found" });
+    res.json({ ok: true, deleted: r.rows[0].id });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/player/favourites/play { ids:[..], amount } (Bearer) : rejoue une ou plusieurs favorites
+// (toutes du même jeu : elles sont jouées sur le même round)
+app.post("/api/player/favourites/play", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : [];
+    if (ids.length === 0 || ids.length > MAX_GRIDS_PER_REQUEST || ids.some((id) => !/^\d+$/.test(id)))
+      return res.status(400).json({ error: `ids must be 1..${MAX_GRIDS_PER_REQUEST} favourite ids` });
+    const stake = parseStake(req.body?.amount);
+    if (stake == null) return res.status(400).json({ error: "amount invalid" });
+
+    const r = await pool.query(
+      `SELECT id, name, nums, chances, game_id FROM favourite_grids WHERE player_id=$1 AND id = ANY($2::bigint[])`,
+      [authed.id, ids]
+    );
+    const byId = new Map(r.rows.map((f) => [String(f.id), f]));
+    const missing = ids.filter((id) => !byId.has(id));
+    if (missing.length) return res.status(404).json({ error: "favourite not found", ids: missing });
+    const gameIds = new Set(r.rows.map((f) => Number(f.game_id)));
+    if (gameIds.size > 1) return res.status(400).json({ error: "favourites must belong to the same game" });
+    const game = findGame([...gameIds][0]);
+    if (!game) return res.status(404).json({ error: "game not found", game: String([...gameIds][0]) });
+    if (game.status !== "ACTIVE") return res.status(409).json({ error: "game disabled", game: game.code });
+
+    // ordre de la requête ; une même favorite peut être jouée plusieurs fois
+    const items = ids.map((id) => {
+      const f = byId.get(id);
+      return {
+        q: expandGrid({ nums: f.nums, chances: f.chances }, stake, game),
+        meta: { favouriteId: f.id, name: f.name },
+      };
+    });
+    const out = await placeBetBatch(authed.id, game, items);
+    res.status(out.status).json(out.body);
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// ====== SUBSCRIPTIONS (multi-tirages) ======
+// La même grille jouée sur N rounds consécutifs, placée par le scheduler à l'ouverture de
+// chaque round via placeBet (mêmes règles que /api/bet). Round manqué (downtime) = pas joué,
+// l'abonnement reprend au round ouvert suivant sans consommer de tirage.
+const SUBSCRIPTION_MONEY_FIELDS = ["stake_per_line", "cost_per_round", "prepaid_remaining"];
+
+// termine un abonnement verrouillé (FOR UPDATE) : rembourse le prépayé non joué
+async function endSubscription(c, sub, status, reason) {
+  const refund = toUnits(sub.prepaid_remaining);
+  if (refund > 0n) {
+    await applyBalanceChange(c, events, {
+      playerId: sub.player_id,
+      type: "SUBSCRIPTION_REFUND",
+      amount: refund,
+      meta: { subscriptionId: sub.id, drawsNotPlayed: sub.draws - sub.draws_placed },
+      event: { subscriptionId: sub.id },
+    });
+  }
+  const r = await c.query(
+    `UPDATE bet_subscriptions
+     SET status=$1, stop_reason=$2, prepaid_remaining=0, ended_at=NOW()
+     WHERE id=$3
+     RETURNING *`,
+    [status, reason, sub.id]
+  );
+  await events.publish(
+    c,
+    "subscription.updated",
+    { subscriptionId: sub.id, status, reason, refund: formatUnitsToDos(refund) },
+    { playerId: sub.player_id }
+  );
+  return { subscription: r.rows[0], refund };
+}
+
+// joue un abonnement sur le round ouvert (une transaction) => { placed, ... }
+async function placeSubscriptionForRound(subscriptionId, round) {
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const sr = await c.query(`SELECT * FROM bet_subscriptions WHERE id=$1 FOR UPDATE`, [subscriptionId]);
+    const sub = sr.rows[0];
+    if (!sub || sub.status !== "ACTIVE" || Number(sub.next_round_id) > round.roundId) {
+      await c.query("ROLLBACK");
+      return { placed: false };
+    }
+
+    const game = findGame(sub.game_id);
+    if (!game) {
+      // jeu absent de la config chargée : rien n'est joué, l'abonnement reste en l'état
+      await c.query("ROLLBACK");
+      console.error(`❌ subscription ${sub.id}: game ${sub.game_id} not found, skipped`);
+      return { placed: false };
+    }
+    const q = expandGrid({ nums: sub.nums, chances: sub.chances }, toUnits(sub.stake_per_line), game);
+    const prepaid = sub.payment === "UPFRONT";
+    const r = await placeBet(c, sub.player_id, round.roundId, q, {
+      subscription: { id: sub.id, prepaid },
+    });
+    if (r.error === "round void" || r.error === "liability cap reached") {
+      // round annulé / réserve pleine (cote fixe) : pas joué, on reprend au suivant
+      await c.query("ROLLBACK");
+      return { placed: false };
+    }
+    if (r.error) {
+      // pari refusé (solde insuffisant, joueur bloqué...) => l'abonnement s'arrête
+      await c.query("ROLLBACK");
+      await c.query("BEGIN");
+      const locked = await c.query(`SELECT * FROM bet_subscriptions WHERE id=$1 FOR UPDATE`, [subscriptionId]);
+      if (locked.rows[0]?.status === "ACTIVE") await endSubscription(c, locked.rows[0], "STOPPED", r.error);
+      await c.query("COMMIT");
+      return { placed: false, stopped: r.error };
+    }
+
+    const drawsPlaced = sub.draws_placed + 1;
+    const done = drawsPlaced >= sub.draws;
+    const prepaidRemaining = prepaid ? toUnits(sub.prepaid_remaining) - q.total : 0n;
+    await c.query(
+      `UPDATE bet_subscriptions
+       SET draws_placed=$1, prepaid_remaining=$2, next_round_id=$3,
+           status=$4, ended_at = CASE WHEN $4 = 'COMPLETED' THEN NOW() ELSE ended_at END
+       WHERE id=$5`,
+      [drawsPlaced, String(prepaidRemaining), round.roundId + 1, done ? "COMPLETED" : "ACTIVE", sub.id]
+    );
+    await events.publish(
+      c,
+      "subscription.updated",
+      {
+        subscriptionId: sub.id,
+        status: done ? "COMPLETED" : "ACTIVE",
+        roundId: round.roundId,
+        drawsPlaced,
+        draws: sub.draws,
+        betIds: r.bets.map((b) => b.id),
+      },
+      { playerId: sub.player_id }
+    );
+    await c.query("COMMIT");
+    return { placed: true, roundId: round.roundId, bets: r.bets, system: r.system };
+  } catch (e) {
+    await c.query("ROLLBACK");
+    throw e;
+  } finally {
+    c.release();
+  }
+}
+
+// hook scheduler : round ouvert => place tous les abonnements dus du jeu
+async function placeSubscriptionBets(round) {
+  const r = await pool.query(
+    `SELECT id FROM bet_subscriptions
+     WHERE status='ACTIVE' AND game_id=$2 AND next_round_id <= $1
+     ORDER BY id ASC`,
+    [round.roundId, round.gameId]
+  );
+  let placed = 0;
+  for (const row of r.rows) {
+    if (!getRoundInfo(Date.now(), round.gameId).betsOpen) break; // fermeture atteinte pendant la boucle
+    try {
+      const x = await placeSubscriptionForRound(row.id, round);
+      if (x.placed) placed++;
+    } catch (e) {
+      console.error(`❌ subscription ${row.id} round ${round.roundId}:`, e?.message || e);
+    }
+  }
+  return placed;
+}
+
+// POST /api/player/subscriptions { game?, nums, chances | chance, amount, draws, payment: UPFRONT|PER_ROUND } (Bearer)
+app.post("/api/player/subscriptions", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+
+    const g = resolveGame(req, { active: true });
+    if (g.error) {
+      const { status, ...body } = g;
+      return res.status(status).json(body);
+    }
+    const q = parseBetRequest(req.body, g.game);
+    if (q.error) return res.status(400).json({ error: q.error });
+    const draws = Number(req.body?.draws);
+    if (!Number.isInteger(draws) || draws < 2 || draws > SUBSCRIPTION_MAX_DRAWS)
+      return res.status(400).json({ error: `draws must be 2..${SUBSCRIPTION_MAX_DRAWS}` });
+    const payment = String(req.body?.payment || "UPFRONT").toUpperCase();
+    if (payment !== "UPFRONT" && payment !== "PER_ROUND")
+      return res.status(400).json({ error: "payment must be UPFRONT or PER_ROUND" });
+
+    const round = getRoundInfo(Date.now(), g.game.id);
+    const firstRoundId = round.betsOpen ? round.roundId : round.roundId + 1;
+    const upfront = payment === "UPFRONT" ? q.total * BigInt(draws) : 0n;
+
+    const c = await pool.connect();
+    let sub;
+    try {
+      await c.query("BEGIN");
+      const p = await c.query(
+        `SELECT id, balance_dos, status FROM players WHERE id=$1 FOR UPDATE`,
+        [authed.id]
+      );
+      if (p.rows[0]?.status !== "ACTIVE") {
+        await c.query("ROLLBACK");
+        return res.status(403).json({ error: "player not active" });
+      }
+      if (toUnits(p.rows[0].balance_dos) < (upfront || q.total)) {
+        await c.query("ROLLBACK");
+        return res.status(409).json({
+          error: "insufficient balance",
+          balance: formatUnitsToDos(p.rows[0].balance_dos),
+          required: formatUnitsToDos(upfront || q.total),
+        });
+      }
+
+      const sr = await c.query(
+        `INSERT INTO bet_subscriptions
+           (player_id, nums, chances, stake_per_line, lines, cost_per_round, draws, payment,
+            prepaid_remaining, next_round_id, game_id)
+         VALUES ($1, $2::int[], $3::int[], $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          authed.id,
+          q.nums,
+          q.chances,
+          String(q.stake),
+          q.lines.length,
+          String(q.total),
+          draws,
+          payment,
+          String(upfront),
+          firstRoundId,
+          g.game.id,
+        ]
+      );
+      sub = sr.rows[0];
+
+      if (upfront > 0n) {
+        await applyBalanceChange(c, events, {
+          playerId: authed.id,
+          type: "SUBSCRIPTION",
+          amount: -upfront,
+          meta: { subscriptionId: sub.id, draws, costPerRound: formatUnitsToDos(q.total) },
+          event: { subscriptionId: sub.id },
+        });
+      }
+      await c.query("COMMIT");
     } catch (e) {
       await c.query("ROLLBACK");
       throw e;
     } finally {
       c.release();
     }
+
+    // round courant ouvert => 1er tirage joué tout de suite (sinon le scheduler s'en charge)
+    let first = null;
+    if (round.betsOpen) {
+      try {
+        first = await placeSubscriptionForRound(sub.id, round);
+      } catch (e) {
+        console.error(`❌ subscription ${sub.id} first draw:`, e?.message || e);
+      }
+    }
+
+    const r = await pool.query(`SELECT * FROM bet_subscriptions WHERE id=$1`, [sub.id]);
+    res.json({
+      ok: true,
+      subscription: formatMoneyFields(r.rows[0], SUBSCRIPTION_MONEY_FIELDS),
+      firstDraw: first?.placed ? { roundId: first.roundId, betIds: first.bets.map((b) => b.id) } : null,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/player/subscriptions?status=ACTIVE (Bearer)
+app.get("/api/player/subscriptions", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+
+    const r = await pool.query(
+      `SELECT * FROM bet_subscriptions
+       WHERE player_id=$1 AND ($2::text IS NULL OR status=$2)
+       ORDER BY id DESC
+       LIMIT 100`,
+      [authed.id, status]
+    );
+    res.json({ ok: true, subscriptions: r.rows.map((row) => formatMoneyFields(row, SUBSCRIPTION_MONEY_FIELDS)) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/player/subscriptions/:id (Bearer) : abonnement + paris créés
+app.get("/api/player/subscriptions/:id", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+    if (!/^\d+$/.test(String(req.params.id))) return res.status(400).json({ error: "invalid id" });
+
+    const r = await pool.query(
+      `SELECT * FROM bet_subscriptions WHERE id=$1 AND player_id=$2`,
+      [req.params.id, authed.id]
+    );
+    if (r.rowCount === 0) return res.status(404).json({ error: "subscription not found" });
+
+    const b = await pool.query(
+      `SELECT id, round_id, choice, amount, system_id, settled, category, payout_dos, created_at
+       FROM bets
+       WHERE subscription_id=$1
+       ORDER BY id ASC`,
+      [req.params.id]
+    );
+    res.json({
+      ok: true,
+      subscription: formatMoneyFields(r.rows[0], SUBSCRIPTION_MONEY_FIELDS),
+      bets: b.rows.map((row) => formatMoneyFields(row, ["amount", "payout_dos"])),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/player/subscriptions/:id/cancel (Bearer) : rembourse les tirages prépayés non joués
+app.post("/api/player/subscriptions/:id/cancel", async (req, res) => {
+  let authed;
+  try {
+    authed = await getAuthedPlayer(req);
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+  if (!authed) return res.status(401).json({ error: "unauthorized" });
+  if (!/^\d+$/.test(String(req.params.id))) return res.status(400).json({ error: "invalid id" });
+
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const sr = await c.query(
+      `SELECT * FROM bet_subscriptions WHERE id=$1 AND player_id=$2 FOR UPDATE`,
+      [req.params.id, authed.id]
+    );
+    if (sr.rowCount === 0) {
+      await c.query("ROLLBACK");
+      return res.status(404).json({ error: "subscription not found" });
+    }
+    if (sr.rows[0].status !== "ACTIVE") {
+      await c.query("ROLLBACK");
+      return res.status(409).json({ error: `subscription ${sr.rows[0].status.toLowerCase()}` });
+    }
+    const r = await endSubscription(c, sr.rows[0], "CANCELLED", "cancelled by player");
+    await c.query("COMMIT");
+    res.json({
+      ok: true,
+      subscription: formatMoneyFields(r.subscription, SUBSCRIPTION_MONEY_FIELDS),
+      refund: formatUnitsToDos(r.refund),
+    });
   } catch (e) {
+    await c.query("ROLLBACK");
     res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    c.release();
   }
 });
 
@@ -536,24 +2392,29 @@ app.get("/api/leaderboard", async (req, res) => {
       [limit]
     );
 
-    res.json({ ok: true, limit, rows: r.rows });
+    res.json({
+      ok: true,
+      limit,
+      rows: r.rows.map((row) => formatMoneyFields(row, PLAYER_MONEY_FIELDS)),
+    });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
 // POST /api/admin/gift-codes { value, count=1, expiresAt=null }
-app.post("/api/admin/gift-codes", async (req, res) => {
+app.post("/api/admin/gift-codes", requireAdmin("gift-codes"), async (req, res) => {
   try {
-    if (!requireAdmin(req))
-      return res.status(401).json({ error: "unauthorized" });
-
-    const value = Number(req.body?.value);
     const count = Math.max(1, Math.min(100, Number(req.body?.count || 1)));
     const expiresAt = req.body?.expiresAt ? String(req.body.expiresAt) : null;
 
-    if (!Number.isFinite(value) || value <= 0)
+    let value;
+    try {
+      value = parseDosToUnits(req.body?.value);
+    } catch {
       return res.status(400).json({ error: "value invalid" });
+    }
+    if (value <= 0n) return res.status(400).json({ error: "value invalid" });
 
     const codes = [];
 
@@ -569,229 +2430,930 @@ app.post("/api/admin/gift-codes", async (req, res) => {
           `INSERT INTO gift_codes (code_hash, value_dos, expires_at)
            VALUES ($1, $2, $3)
            RETURNING id, value_dos, status, expires_at, created_at`,
-          [codeHash, value, expiresAt]
+          [codeHash, String(value), expiresAt]
         );
 
-        codes.push({ code, ...r.rows[0] });
+        codes.push({ code, ...formatMoneyFields(r.rows[0], ["value_dos"]) });
+      }
+
+      await c.query("COMMIT");
+      res.json({ ok: true, count, codes });
+    } catch (e) {
+      await c.query("ROLLBACK");
+      throw e;
+    } finally {
+      c.release();
+    }
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/admin/rounds/:id/client-seed { clientSeed }
+// Entropie publique (ex: hash d'un bloc, tirage externe) mélangée au seed serveur.
+// Figée avant la fermeture des mises => le serveur ne peut pas "choisir" son tirage après coup.
+app.post("/api/admin/rounds/:id/client-seed", requireAdmin("settle"), async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId))
+      return res.status(400).json({ error: "roundId invalid" });
+    if (!gameForRound(games, roundId)) return res.status(404).json({ error: "game not found", roundId });
+
+    const clientSeed = String(req.body?.clientSeed ?? "").trim();
+    if (!clientSeed) return res.status(400).json({ error: "clientSeed required" });
+    if (clientSeed.length > 128)
+      return res.status(400).json({ error: "clientSeed too long (max 128)" });
+
+    const round = getRoundById(roundId);
+    if (Date.now() >= round.closeAtMs)
+      return res.status(409).json({ error: "bets closed for this round", roundId });
+
+    await ensureRoundSeed(pool, roundId);
+    const r = await pool.query(
+      `UPDATE round_seeds SET client_seed=$2
+       WHERE round_id=$1 AND client_seed IS NULL
+       RETURNING round_id, seed_hash, client_seed`,
+      [roundId, clientSeed]
+    );
+    if (r.rowCount === 0)
+      return res.status(409).json({ error: "clientSeed already set", roundId });
+
+    const row = r.rows[0];
+    res.json({ ok: true, roundId, seedHash: row.seed_hash, clientSeed: row.client_seed });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/admin/config?game=classic
+app.get("/api/admin/config", requireAdmin("config"), (req, res) => {
+  const g = resolveGame(req);
+  if (g.error) {
+    const { status, ...body } = g;
+    return res.status(status).json(body);
+  }
+  const { current, pending } = timingState(Date.now(), g.game.id);
+  res.json({
+    ok: true,
+    game: g.game.code,
+    roundSeconds: current.roundSeconds,
+    closeBetsAt: current.closeBetsAt,
+    current,
+    pending,
+  });
+});
+
+// PUT /api/admin/config { game?, roundSeconds?, closeBetsAt?, effectiveRoundId?, note? }
+// Ne modifie jamais le round courant : le changement prend effet au début d'un round futur.
+app.put("/api/admin/config", requireAdmin("config"), async (req, res) => {
+  const body = req.body || {};
+  const g = resolveGame(req);
+  if (g.error) {
+    const { status, ...rest } = g;
+    return res.status(status).json(rest);
+  }
+  if (body.anchorMs != null) {
+    return res.status(400).json({ error: "anchorMs cannot be changed (rounds would be renumbered)" });
+  }
+  if (body.roundSeconds == null && body.closeBetsAt == null) {
+    return res.status(400).json({ error: "roundSeconds or closeBetsAt required" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = await scheduleTimingChange(client, {
+      gameId: g.game.id,
+      nowMs: Date.now(),
+      minLeadMs: TIMING_MIN_LEAD_SECONDS * 1000,
+      effectiveRoundId: body.effectiveRoundId == null ? null : Number(body.effectiveRoundId),
+      roundSeconds: body.roundSeconds == null ? null : Number(body.roundSeconds),
+      closeBetsAt: body.closeBetsAt == null ? null : Number(body.closeBetsAt),
+      note: body.note ? String(body.note).slice(0, 200) : null,
+    });
+    if (r.error) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: r.error });
+    }
+    await client.query("COMMIT");
+
+    await loadTiming();
+    res.json({ ok: true, game: g.game.code, scheduled: r.version, ...timingState(Date.now(), g.game.id) });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/admin/config/history?game= (toutes les versions, annulées comprises ; tous jeux par défaut)
+app.get("/api/admin/config/history", requireAdmin("config"), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "50", 10) || 50, 1), 500);
+    let gameId = null;
+    if (req.query?.game) {
+      const g = resolveGame(req);
+      if (g.error) {
+        const { status, ...body } = g;
+        return res.status(status).json(body);
+      }
+      gameId = g.game.id;
+    }
+    res.json({ ok: true, versions: await timingHistory(pool, limit, gameId) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// DELETE /api/admin/config/:version (annule un changement pas encore en vigueur + ceux qui suivent)
+app.delete("/api/admin/config/:version", requireAdmin("config"), async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version)) return res.status(400).json({ error: "invalid version" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // marge : une instance pas encore rafraîchie ne doit pas appliquer une version annulée
+    const cancelled = await cancelTimingChange(client, version, Date.now() + TIMING_MIN_LEAD_SECONDS * 1000);
+    if (cancelled.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "version not found, already cancelled or too close to take effect" });
+    }
+    await client.query("COMMIT");
+
+    await loadTiming();
+    const gameId = cancelled[0].gameId;
+    res.json({ ok: true, game: findGame(gameId)?.code, cancelled, ...timingState(Date.now(), gameId) });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    client.release();
+  }
+});
+
+// ====== GAMES ======
+// Définitions de jeux (games.js) : règles figées à la création, seuls nom et statut sont modifiables.
+
+// GET /api/games (public)
+app.get("/api/games", (req, res) => {
+  res.json({ ok: true, games: games.map(formatGame) });
+});
+
+// GET /api/games/:code (public) : règles + round courant
+app.get("/api/games/:code", (req, res) => {
+  const game = findGame(req.params.code);
+  if (!game) return res.status(404).json({ error: "game not found" });
+  res.json({ ok: true, game: formatGame(game), round: getRoundInfo(Date.now(), game.id) });
+});
+
+// POST /api/admin/games { code, name, prizeMode?, numsMax, drawCount, pickMax?, chanceMax, winPoolPercent, carryPercent,
+//   prizes:[{ category, matches, chance, share, jackpot? }], jackpotSeed?, roundSeconds?, closeBetsAt? }
+// prizeMode FIXED : prizes:[{ category, matches, chance, multiplier }], sans winPool / carry / jackpot ;
+// les paris sont refusés tant que la réserve est vide (POST /api/admin/games/:code/reserve).
+// Le jeu démarre tout de suite (round_base = 1er round, ancré maintenant).
+app.post("/api/admin/games", requireAdmin("config"), async (req, res) => {
+  const d = parseGameDefinition(req.body);
+  if (d.error) return res.status(400).json({ error: d.error });
+  const roundSeconds = Number(req.body?.roundSeconds ?? 300);
+  const closeBetsAt = Number(req.body?.closeBetsAt ?? 30);
+  const timingError = validateTiming(roundSeconds, closeBetsAt);
+  if (timingError) return res.status(400).json({ error: timingError });
+
+  const c = await pool.connect();
+  let game;
+  try {
+    await c.query("BEGIN");
+    const dup = await c.query(`SELECT id FROM games WHERE code=$1`, [d.def.code]);
+    if (dup.rowCount > 0) {
+      await c.query("ROLLBACK");
+      return res.status(409).json({ error: "game code already exists", code: d.def.code });
+    }
+    game = await insertGame(c, d.def);
+    await ensureInitialTiming(c, {
+      gameId: game.id,
+      effectiveRoundId: game.roundBase,
+      roundSeconds,
+      closeBetsAt,
+      anchorMs: Date.now(),
+      note: "initial",
+    });
+    await c.query("COMMIT");
+  } catch (e) {
+    await c.query("ROLLBACK");
+    return res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    c.release();
+  }
+
+  try {
+    await loadTiming();
+    res.json({ ok: true, game: formatGame(game), round: getRoundInfo(Date.now(), game.id) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// PATCH /api/admin/games/:code { name?, status?: ACTIVE|DISABLED }
+// DISABLED : plus de paris ni d'abonnements joués ; les rounds déjà joués sont quand même réglés.
+app.patch("/api/admin/games/:code", requireAdmin("config"), async (req, res) => {
+  try {
+    const game = findGame(req.params.code);
+    if (!game) return res.status(404).json({ error: "game not found" });
+
+    const name = req.body?.name == null ? null : String(req.body.name).trim();
+    if (name != null && (!name || name.length > 80))
+      return res.status(400).json({ error: "name required (max 80 chars)" });
+    const status = req.body?.status == null ? null : String(req.body.status).toUpperCase();
+    if (status != null && status !== "ACTIVE" && status !== "DISABLED")
+      return res.status(400).json({ error: "status must be ACTIVE or DISABLED" });
+    if (name == null && status == null) return res.status(400).json({ error: "name or status required" });
+
+    await pool.query(
+      `UPDATE games
+       SET name = COALESCE($2, name), status = COALESCE($3, status), updated_at = NOW()
+       WHERE id=$1`,
+      [game.id, name, status]
+    );
+    await loadTiming();
+    res.json({ ok: true, game: formatGame(findGame(game.id)) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/admin/games/:code/exposure (cote fixe) : réserve, pire cas des paris non réglés, marge restante
+app.get("/api/admin/games/:code/exposure", requireAdmin("finance"), async (req, res) => {
+  try {
+    const game = findGame(req.params.code);
+    if (!game) return res.status(404).json({ error: "game not found" });
+    if (game.prizeMode !== "FIXED") return res.status(409).json({ error: "not a fixed-odds game", game: game.code });
+
+    const x = await loadExposure(pool, game);
+    const r = await pool.query(
+      `SELECT b.round_id, COUNT(*) AS bets, COUNT(DISTINCT b.player_id) AS players, SUM(b.amount) AS stakes
+       FROM bets b
+       WHERE b.game_id=$1 AND b.settled = FALSE
+         AND NOT EXISTS (SELECT 1 FROM round_results rr WHERE rr.round_id = b.round_id)
+       GROUP BY b.round_id
+       ORDER BY b.round_id ASC`,
+      [game.id]
+    );
+
+    res.json({
+      ok: true,
+      game: game.code,
+      maxMultiplier: maxMultiplier(game),
+      reserve: formatUnitsToDos(x.reserve),
+      openStakes: formatUnitsToDos(x.openStakes),
+      worstCase: formatUnitsToDos(x.worstCase),
+      available: formatUnitsToDos(x.available),
+      maxStake: formatUnitsToDos(maxStakeFor(game, x.available)),
+      rounds: r.rows.map((row) => ({
+        roundId: Number(row.round_id),
+        bets: Number(row.bets),
+        players: Number(row.players),
+        stakes: formatUnitsToDos(row.stakes),
+        worstCase: formatUnitsToDos(worstCasePayout(game, toUnits(row.stakes))),
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/admin/games/:code/reserve { amount, type: DEPOSIT|WITHDRAW, note? } (cote fixe)
+// Mouvement entre le solde admin du jeu et sa réserve ; un retrait ne peut pas passer sous le pire cas.
+app.post("/api/admin/games/:code/reserve", requireAdmin("finance"), async (req, res) => {
+  const game = findGame(req.params.code);
+  if (!game) return res.status(404).json({ error: "game not found" });
+  if (game.prizeMode !== "FIXED") return res.status(409).json({ error: "not a fixed-odds game", game: game.code });
+
+  const type = String(req.body?.type || "DEPOSIT").toUpperCase();
+  if (type !== "DEPOSIT" && type !== "WITHDRAW")
+    return res.status(400).json({ error: "type must be DEPOSIT or WITHDRAW" });
+  let amount;
+  try {
+    amount = parseDosToUnits(req.body?.amount);
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
+  }
+  if (amount <= 0n) return res.status(400).json({ error: "amount must be > 0" });
+  const note = req.body?.note ? String(req.body.note).slice(0, 200) : null;
+
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const x = await loadExposure(c, game, { lock: true });
+    if (type === "WITHDRAW" && x.reserve - amount < x.worstCase) {
+      await c.query("ROLLBACK");
+      return res.status(409).json({
+        error: "reserve would not cover open bets",
+        worstCase: formatUnitsToDos(x.worstCase),
+        maxWithdraw: formatUnitsToDos(x.available > 0n ? x.available : 0n),
+      });
+    }
+
+    const delta = type === "DEPOSIT" ? amount : -amount;
+    const u = await c.query(
+      `UPDATE game_bank
+       SET reserve_dos = reserve_dos + $1, admin_balance_dos = admin_balance_dos - $1, updated_at = NOW()
+       WHERE id=$2
+       RETURNING reserve_dos, admin_balance_dos`,
+      [String(delta), game.id]
+    );
+    await c.query(
+      `INSERT INTO admin_ledger (game_id, type, amount, meta)
+       VALUES ($1, $2, $3, $4::jsonb)`,
+      [
+        game.id,
+        `RESERVE_${type}`,
+        String(-delta),
+        JSON.stringify({ game: game.code, by: adminActor(req), note, reserveAfter: String(u.rows[0].reserve_dos) }),
+      ]
+    );
+    await c.query("COMMIT");
+
+    res.json({
+      ok: true,
+      game: game.code,
+      type,
+      amount: formatUnitsToDos(amount),
+      reserve: formatUnitsToDos(u.rows[0].reserve_dos),
+      adminBalance: formatUnitsToDos(u.rows[0].admin_balance_dos),
+      worstCase: formatUnitsToDos(x.worstCase),
+      available: formatUnitsToDos(toUnits(u.rows[0].reserve_dos) - x.worstCase),
+    });
+  } catch (e) {
+    await c.query("ROLLBACK");
+    res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    c.release();
+  }
+});
+
+// ====== SETTLE ======
+// Le moteur (settlement.js) règle par tranches : paris puis crédits joueurs, un round
+// interrompu reprend au prochain appel (scheduler ou /api/settle).
+const settlement = createSettlementEngine({ pool, events });
+
+// settleRound(roundId) => { ok, roundId, outcome, ... } | { alreadySettled: true, ... } | { void: true, ... }
+function settleRound(roundId) {
+  return settlement.settleRound(roundId, { chunkSize: SETTLE_CHUNK_SIZE });
+}
+
+// Prévisualisation du règlement : mêmes calculs que settleRound (computeSettlement), dans une
+// transaction READ ONLY => aucune écriture. outcome absent = le vrai tirage (seed committé).
+// rules absent = les règles du jeu du round.
+async function previewSettlement(roundId, { outcome = null, rules = null } = {}) {
+  const game = gameForRound(games, roundId);
+  if (!game) return { status: 404, error: "game not found" };
+  rules = rules || settleRules(game);
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+
+    const done = await c.query(`SELECT settled_at FROM round_results WHERE round_id=$1`, [roundId]);
+    if (done.rowCount > 0) {
+      await c.query("ROLLBACK");
+      return { status: 409, error: "already settled", settledAt: done.rows[0].settled_at };
+    }
+    const voided = await c.query(`SELECT reason FROM round_voids WHERE round_id=$1`, [roundId]);
+    if (voided.rowCount > 0) {
+      await c.query("ROLLBACK");
+      return { status: 409, error: "round void", reason: voided.rows[0].reason };
+    }
+
+    let mode = "what-if";
+    if (!outcome) {
+      const seedR = await c.query(`SELECT server_seed, client_seed FROM round_seeds WHERE round_id=$1`, [roundId]);
+      if (seedR.rowCount === 0) {
+        await c.query("ROLLBACK");
+        return { status: 409, error: "seed not committed" };
+      }
+      outcome = pickOutcomeForRound(roundId, {
+        serverSeed: seedR.rows[0].server_seed,
+        clientSeed: seedR.rows[0].client_seed || "",
+      }, game);
+      mode = "dry-run";
+    }
+
+    const bankR = await c.query(`SELECT carry_dos, jackpot_dos, reserve_dos FROM game_bank WHERE id=$1`, [game.id]);
+    const betsR = await c.query(
+      `SELECT b.id, b.player_id, b.nums, b.chance, b.amount, b.settled, b.payout_dos, p.username
+       FROM bets b
+       LEFT JOIN players p ON p.id = b.player_id
+       WHERE b.round_id=$1
+       ORDER BY b.id ASC`,
+      [roundId]
+    );
+    await c.query("COMMIT");
+
+    const calc = computeSettlement({
+      bets: betsR.rows,
+      outcome,
+      carryIn: toUnits(bankR.rows[0]?.carry_dos),
+      jackpotBefore: toUnits(bankR.rows[0]?.jackpot_dos),
+      rules,
+    });
+
+    // agrégats par catégorie et par joueur
+    const paidByCat = new Map();
+    const byPlayer = new Map();
+    const usernames = new Map(betsR.rows.map((b) => [String(b.player_id), b.username]));
+    for (const p of calc.payouts) {
+      paidByCat.set(p.cat, (paidByCat.get(p.cat) || 0n) + p.payout);
+      const k = String(p.playerId);
+      if (!byPlayer.has(k)) byPlayer.set(k, { payout: 0n, winningBets: 0 });
+      byPlayer.get(k).payout += p.payout;
+      byPlayer.get(k).winningBets++;
+    }
+    const players = Array.from(byPlayer.entries())
+      .sort((a, b) => (b[1].payout > a[1].payout ? 1 : b[1].payout < a[1].payout ? -1 : 0))
+      .map(([playerId, x]) => ({
+        playerId,
+        username: usernames.get(playerId) ?? null,
+        winningBets: x.winningBets,
+        payout: formatUnitsToDos(x.payout),
+      }));
+
+    return {
+      ok: true,
+      mode,
+      game: game.code,
+      roundId,
+      outcome,
+      rules:
+        rules.prizeMode === "FIXED"
+          ? { prizeMode: rules.prizeMode, multipliers: rules.multipliers }
+          : { winPoolPercent: rules.winPoolPercent, carryPercent: rules.carryPercent, potShares: rules.potShares },
+      bets: betsR.rowCount,
+      totalBets: formatUnitsToDos(calc.totalBets),
+      carryIn: formatUnitsToDos(calc.carryIn),
+      pot: formatUnitsToDos(calc.pot),
+      winPool: formatUnitsToDos(calc.winPool),
+      carry: formatUnitsToDos(calc.carry),
+      adminTake: formatUnitsToDos(calc.adminTake),
+      unclaimed: formatUnitsToDos(calc.unclaimed),
+      unclaimedCats: calc.unclaimedCats,
+      carryOut: formatUnitsToDos(calc.carryOut),
+      jackpot: {
+        before: formatUnitsToDos(calc.jackpotBefore),
+        contribution: formatUnitsToDos(calc.jackpotContribution),
+        paid: formatUnitsToDos(calc.jackpotPaid),
+        seed: formatUnitsToDos(calc.jackpotSeed),
+        after: formatUnitsToDos(calc.jackpot),
+        winners: calc.jackpotWinners.length,
+      },
+      categories: calc.categories.map((x) => ({
+        category: x.category,
+        ...(x.multiplier != null ? { multiplier: x.multiplier } : { share: x.share }),
+        jackpot: !!x.jackpot,
+        pool: formatUnitsToDos(x.pool),
+        winners: x.winners,
+        payout: formatUnitsToDos(paidByCat.get(x.category) || 0n),
+      })),
+      players,
+      winnersCount: calc.winnersCount,
+      // ce que le round coûte : gains payés (winPool + jackpot) et réamorçage pris sur l'admin
+      liability: {
+        winPool: formatUnitsToDos(calc.poolPaid),
+        jackpot: formatUnitsToDos(calc.jackpotPaid),
+        total: formatUnitsToDos(calc.poolPaid + calc.jackpotPaid),
+        jackpotSeedFromAdmin: formatUnitsToDos(calc.jackpotSeed),
+        adminNet: formatUnitsToDos(calc.adminTake - calc.jackpotSeed),
+      },
+      ...(rules.prizeMode === "FIXED"
+        ? {
+            reserve: {
+              before: formatUnitsToDos(bankR.rows[0]?.reserve_dos),
+              after: formatUnitsToDos(toUnits(bankR.rows[0]?.reserve_dos) + calc.reserveDelta),
+            },
+          }
+        : {}),
+    };
+  } catch (e) {
+    await c.query("ROLLBACK");
+    throw e;
+  } finally {
+    c.release();
+  }
+}
+
+// { winPoolPercent?, carryPercent?, potShares? } (pari-mutuel) | { multipliers? } (cote fixe)
+// => settleRules(game, ...) | { error }
+function parseRulesOverrides(body, game) {
+  const o = {};
+  const rate = (v) => Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= 1;
+  if (game.prizeMode === "FIXED") {
+    if (body?.winPoolPercent != null || body?.carryPercent != null || body?.potShares != null)
+      return { error: "fixed-odds game: only multipliers can be overridden" };
+    if (body?.multipliers != null) {
+      if (typeof body.multipliers !== "object" || Array.isArray(body.multipliers))
+        return { error: "multipliers must be an object" };
+      const multipliers = prizeMultipliers(game);
+      for (const [cat, v] of Object.entries(body.multipliers)) {
+        if (!(cat in multipliers)) return { error: `unknown category ${cat}` };
+        if (!Number.isFinite(Number(v)) || Number(v) <= 0) return { error: `multipliers.${cat} must be > 0` };
+        multipliers[cat] = Number(v);
       }
+      o.multipliers = multipliers;
+    }
+    return { rules: settleRules(game, o) };
+  }
+  if (body?.multipliers != null) return { error: "multipliers only apply to fixed-odds games" };
+  if (body?.winPoolPercent != null) {
+    if (!rate(body.winPoolPercent)) return { error: "winPoolPercent must be 0..1" };
+    o.winPoolPercent = Number(body.winPoolPercent);
+  }
+  if (body?.carryPercent != null) {
+    if (!rate(body.carryPercent)) return { error: "carryPercent must be 0..1" };
+    o.carryPercent = Number(body.carryPercent);
+  }
+  if (body?.potShares != null) {
+    if (typeof body.potShares !== "object" || Array.isArray(body.potShares))
+      return { error: "potShares must be an object" };
+    const shares = potShares(game);
+    for (const [cat, v] of Object.entries(body.potShares)) {
+      if (!(cat in shares)) return { error: `unknown category ${cat}` };
+      if (!rate(v)) return { error: `potShares.${cat} must be 0..1` };
+      shares[cat] = Number(v);
+    }
+    const sum = Object.values(shares).reduce((a, b) => a + b, 0);
+    if (sum > 1.000001) return { error: "potShares must sum to <= 1" };
+    o.potShares = shares;
+  }
+  const rules = settleRules(game, o);
+  if (rules.winPoolPercent + rules.carryPercent > 1.000001)
+    return { error: "winPoolPercent + carryPercent must be <= 1" };
+  return { rules };
+}
 
-      await c.query("COMMIT");
-      res.json({ ok: true, count, codes });
-    } catch (e) {
-      await c.query("ROLLBACK");
-      throw e;
-    } finally {
-      c.release();
+// GET /api/admin/rounds/:id/settle-preview : dry-run du vrai règlement (mises fermées uniquement,
+// sinon le tirage serait connu avant la fin des mises)
+app.get("/api/admin/rounds/:id/settle-preview", requireAdmin("settle"), async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId)) return res.status(400).json({ error: "roundId invalid" });
+    if (!gameForRound(games, roundId)) return res.status(404).json({ error: "game not found", roundId });
+    if (Date.now() < getRoundById(roundId).closeAtMs)
+      return res.status(409).json({ error: "bets still open", roundId });
+
+    const r = await previewSettlement(roundId);
+    if (r.error) {
+      const { status, ...body } = r;
+      return res.status(status).json({ ...body, roundId });
     }
+    res.json(r);
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
-// GET /api/admin/config
-app.get("/api/admin/config", (req, res) => {
-  if (!requireAdmin(req)) return res.status(401).json({ error: "unauthorized" });
-  res.json({ ok: true, roundSeconds, closeBetsAt, anchorMs });
-});
-
-// PUT /api/admin/config { roundSeconds, closeBetsAt, anchorMs }
-app.put("/api/admin/config", (req, res) => {
-  if (!requireAdmin(req)) return res.status(401).json({ error: "unauthorized" });
-
-  const rs = Number(req.body?.roundSeconds);
-  const cb = Number(req.body?.closeBetsAt);
-  const am = Number(req.body?.anchorMs);
-
-  if (Number.isFinite(rs)) roundSeconds = rs;
-  if (Number.isFinite(cb)) closeBetsAt = cb;
-  if (Number.isFinite(am)) anchorMs = am;
-
-  // guardrails
-  if (!Number.isFinite(roundSeconds) || roundSeconds < 30) roundSeconds = 300;
-  if (!Number.isFinite(closeBetsAt) || closeBetsAt < 1) closeBetsAt = 30;
-  if (closeBetsAt >= roundSeconds) closeBetsAt = Math.max(1, roundSeconds - 1);
-  if (!Number.isFinite(anchorMs)) anchorMs = Date.now();
-
-  res.json({
-    ok: true,
-    roundSeconds,
-    closeBetsAt,
-    anchorMs,
-  });
+// POST /api/admin/rounds/:id/what-if { outcome:{main:[drawCount], chance}, winPoolPercent?, carryPercent?, potShares? | multipliers? }
+// => liability du round pour un tirage arbitraire (et des règles de partage modifiées)
+app.post("/api/admin/rounds/:id/what-if", requireAdmin("settle"), async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId)) return res.status(400).json({ error: "roundId invalid" });
+    const game = gameForRound(games, roundId);
+    if (!game) return res.status(404).json({ error: "game not found", roundId });
+
+    const main = normalizeNums(Array.isArray(req.body?.outcome?.main) ? req.body.outcome.main : []);
+    const chance = Number(req.body?.outcome?.chance);
+    if (main.length !== game.drawCount || main.some((n) => !Number.isInteger(n) || n < 1 || n > game.numsMax))
+      return res
+        .status(400)
+        .json({ error: `outcome.main must be ${game.drawCount} unique numbers 1..${game.numsMax}` });
+    if (!Number.isInteger(chance) || chance < 1 || chance > game.chanceMax)
+      return res.status(400).json({ error: `outcome.chance must be 1..${game.chanceMax}` });
+
+    const o = parseRulesOverrides(req.body, game);
+    if (o.error) return res.status(400).json({ error: o.error });
+
+    const r = await previewSettlement(roundId, { outcome: { main, chance }, rules: o.rules });
+    if (r.error) {
+      const { status, ...body } = r;
+      return res.status(status).json({ ...body, roundId });
+    }
+    res.json(r);
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
 });
 
-// ====== SETTLE ======
 // POST /api/settle { roundId } (admin only)
-app.post("/api/settle", async (req, res) => {
+app.post("/api/settle", requireAdmin("settle"), async (req, res) => {
   try {
-    if (!requireAdmin(req))
-      return res.status(401).json({ error: "unauthorized" });
-
     const roundId = Number(req.body?.roundId);
     if (!Number.isFinite(roundId))
       return res.status(400).json({ error: "roundId required" });
+    if (!gameForRound(games, roundId)) return res.status(404).json({ error: "game not found", roundId });
 
     const round = getRoundById(roundId);
+    if (Date.now() < round.roundEndMs)
+      return res.status(409).json({ error: "round not finished", roundId, roundEndMs: round.roundEndMs });
 
-    const c = await pool.connect();
-    try {
-      await c.query("BEGIN");
+    const result = await settleRound(roundId);
+    if (result.alreadySettled) {
+      return res.status(409).json({
+        error: "already settled",
+        roundId,
+        outcome: result.outcome,
+        settledAt: result.settledAt,
+      });
+    }
+    if (result.void) {
+      return res.status(409).json({
+        error: "round void",
+        roundId,
+        reason: result.reason,
+        voidedAt: result.voidedAt,
+      });
+    }
 
-      // anti double-settle
-      const already = await c.query(
-        `SELECT round_id, outcome, settled_at
-         FROM round_results
-         WHERE round_id=$1
-         FOR UPDATE`,
-        [roundId]
-      );
-      if (already.rowCount > 0) {
-        await c.query("ROLLBACK");
-        return res.status(409).json({
-          error: "already settled",
-          roundId,
-          outcome: already.rows[0].outcome,
-          settledAt: already.rows[0].settled_at,
-        });
-      }
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-      // outcome
-      const outcome = pickOutcomeForRound(roundId);
+// ====== VOID ======
+// POST /api/admin/rounds/:id/void { reason } : rembourse toutes les mises non réglées du round
+// (REFUND au ledger) et le marque annulé. Round courant ou passé, jamais un round déjà réglé.
+app.post("/api/admin/rounds/:id/void", requireAdmin("settle"), async (req, res) => {
+  const roundId = Number(req.params.id);
+  if (!Number.isInteger(roundId)) return res.status(400).json({ error: "roundId invalid" });
+  const reason = String(req.body?.reason ?? "").trim();
+  if (!reason) return res.status(400).json({ error: "reason required" });
+  if (reason.length > 500) return res.status(400).json({ error: "reason too long (max 500)" });
+  const game = gameForRound(games, roundId);
+  if (!game) return res.status(404).json({ error: "game not found", roundId });
+  if (roundId > getRoundInfo(Date.now(), game.id).roundId)
+    return res.status(409).json({ error: "round not started", roundId });
+  const voidedBy = adminActor(req);
+
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    // même verrou que settleRound : void et règlement ne peuvent pas se croiser
+    await lockRound(c, roundId);
 
-      // total pot = somme des mises du round
-      const potR = await c.query(
-        `SELECT COALESCE(SUM(amount), 0) AS pot
-         FROM bets
-         WHERE round_id=$1`,
-        [roundId]
-      );
-      const pot = Number(potR.rows[0].pot || 0);
+    const settled = await c.query(`SELECT settled_at FROM round_results WHERE round_id=$1`, [roundId]);
+    if (settled.rowCount > 0) {
+      await c.query("ROLLBACK");
+      return res.status(409).json({ error: "already settled", roundId, settledAt: settled.rows[0].settled_at });
+    }
+    const v = await c.query(
+      `INSERT INTO round_voids (round_id, reason, voided_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (round_id) DO NOTHING
+       RETURNING round_id`,
+      [roundId, reason, voidedBy]
+    );
+    if (v.rowCount === 0) {
+      await c.query("ROLLBACK");
+      return res.status(409).json({ error: "round already void", roundId });
+    }
 
-      // split
-      const winPool = Math.floor(pot * WIN_POOL_PERCENT);
-      const carry = Math.floor(pot * CARRY_PERCENT);
-      const adminTake = pot - winPool - carry; // le reste
+    const betsR = await c.query(
+      `UPDATE bets
+       SET settled = TRUE, refunded = TRUE, payout_dos = 0, category = NULL
+       WHERE round_id=$1 AND settled = FALSE
+       RETURNING id, player_id, amount`,
+      [roundId]
+    );
 
-      // store result
-      await c.query(
-        `INSERT INTO round_results (round_id, outcome)
-         VALUES ($1, $2)`,
-        [roundId, JSON.stringify(outcome)]
-      );
+    // un remboursement (et une écriture REFUND) par joueur
+    const byPlayer = new Map();
+    for (const b of betsR.rows) {
+      const k = String(b.player_id);
+      if (!byPlayer.has(k)) byPlayer.set(k, { amount: 0n, betIds: [] });
+      const x = byPlayer.get(k);
+      x.amount += toUnits(b.amount);
+      x.betIds.push(b.id);
+    }
 
-      // collect bets
-      const betsR = await c.query(
-        `SELECT id, player_id, nums, chance, amount, settled, payout_dos
-         FROM bets
-         WHERE round_id=$1
-         ORDER BY id ASC
-         FOR UPDATE`,
-        [roundId]
-      );
-      const bets = betsR.rows;
-
-      // bucket winners by category
-      const winnersByCat = {};
-      for (const cat of Object.keys(POT_SHARES)) winnersByCat[cat] = [];
-
-      for (const b of bets) {
-        if (b.settled) continue;
-        const nums = b.nums || [];
-        const chanceOk = Number(b.chance) === Number(outcome.chance);
-        const matches = countMatches(nums, outcome.main);
-        const cat = prizeCategory(matches, chanceOk);
-        if (cat) winnersByCat[cat].push(b);
-      }
+    let refundedTotal = 0n;
+    for (const [playerId, x] of byPlayer.entries()) {
+      refundedTotal += x.amount;
+      await events.publish(c, "bets.refunded", { roundId, reason, betIds: x.betIds }, { playerId });
+    }
+    await applyBalanceChanges(
+      c,
+      events,
+      "REFUND",
+      [...byPlayer.entries()].map(([playerId, x]) => ({
+        playerId,
+        amount: x.amount,
+        meta: { roundId, reason: "round void", betIds: x.betIds },
+        event: { roundId },
+      }))
+    );
 
-      // calc payouts per category
-      const payouts = [];
-      for (const [cat, winners] of Object.entries(winnersByCat)) {
-        if (!winners.length) continue;
+    await c.query(
+      `UPDATE round_voids SET refunded_bets=$2, refunded_dos=$3 WHERE round_id=$1`,
+      [roundId, betsR.rowCount, String(refundedTotal)]
+    );
+    await events.publish(c, "round.void", { roundId, reason }, { key: `round.void:${roundId}` });
 
-        const share = POT_SHARES[cat] || 0;
-        const catPool = Math.floor(winPool * share);
+    await c.query("COMMIT");
+    res.json({
+      ok: true,
+      roundId,
+      reason,
+      voidedBy,
+      refundedBets: betsR.rowCount,
+      refundedPlayers: byPlayer.size,
+      refunded: formatUnitsToDos(refundedTotal),
+    });
+  } catch (e) {
+    await c.query("ROLLBACK");
+    res.status(500).json({ error: String(e?.message || e) });
+  } finally {
+    c.release();
+  }
+});
 
-        // distrib = proportionnel au montant des mises gagnantes (simple et robuste)
-        const totalStake = winners.reduce((s, b) => s + Number(b.amount), 0) || 1;
+// ====== SCHEDULER ======
+// Règle automatiquement chaque round terminé (plus besoin d'appeler /api/settle)
+const scheduler = createRoundScheduler({
+  pool,
+  listGames: () => games,
+  getRoundInfo,
+  getRoundById,
+  settleRound,
+  commitRound: (roundId) => ensureRoundSeed(pool, roundId),
+  announceRound,
+  openRound: placeSubscriptionBets,
+});
 
-        for (const b of winners) {
-          const stake = Number(b.amount);
-          const payout = Math.floor((catPool * stake) / totalStake);
-          payouts.push({ betId: b.id, playerId: b.player_id, cat, payout });
-        }
-      }
+// GET /api/admin/scheduler
+app.get("/api/admin/scheduler", requireAdmin("settle"), (req, res) => {
+  res.json({ ok: true, scheduler: scheduler.state(), events: events.state() });
+});
 
-      // apply payouts
-      // agrégation par player
-      const byPlayer = new Map();
-      for (const p of payouts) {
-        byPlayer.set(p.playerId, (byPlayer.get(p.playerId) || 0) + p.payout);
-      }
+// POST /api/admin/scheduler/run (force un tick immédiat)
+app.post("/api/admin/scheduler/run", requireAdmin("settle"), async (req, res) => {
+  try {
+    const tick = await scheduler.tick();
+    res.json({ ok: true, tick, scheduler: scheduler.state() });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-      for (const [playerId, amount] of byPlayer.entries()) {
-        if (amount <= 0) continue;
+// GET /api/admin/reconciliation : ledger joueur vs soldes, admin_ledger vs game_bank (calcul immédiat)
+app.get("/api/admin/reconciliation", requireAdmin("finance"), async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(1000, Number(req.query?.limit || 100)));
+    const report = await reconcile(pool, { limit });
+    res.json({ ...report, lastJob: lastReconciliation && { checkedAt: lastReconciliation.checkedAt, ok: lastReconciliation.ok } });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-        // lock player + credit
-        await c.query(
-          `UPDATE players SET balance_dos = balance_dos + $1 WHERE id=$2`,
-          [amount, playerId]
-        );
+// GET /api/admin/lockouts?all=1 : sujets bloqués (all : aussi les compteurs d'échecs sans blocage)
+app.get("/api/admin/lockouts", requireAdmin("players"), async (req, res) => {
+  try {
+    const all = req.query?.all === "1" || req.query?.all === "true";
+    res.json({ ok: true, lockouts: await listLockouts(pool, { all }) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-        await c.query(
-          `INSERT INTO dos_ledger (player_id, type, amount, meta)
-           VALUES ($1, 'WIN', $2, $3::jsonb)`,
-          [
-            playerId,
-            amount,
-            JSON.stringify({ roundId, note: "payout by categories" }),
-          ]
-        );
-      }
+// POST /api/admin/lockouts/clear { playerId | ip | subject, scope? } : débloque (tous scopes par défaut)
+app.post("/api/admin/lockouts/clear", requireAdmin("players"), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const subject =
+      b.playerId != null ? playerSubject(String(b.playerId)) : b.ip ? ipSubject(String(b.ip)) : b.subject ? String(b.subject) : null;
+    if (!subject) return res.status(400).json({ error: "playerId, ip or subject required" });
+    const scope = b.scope ? String(b.scope).toUpperCase() : null;
+    if (scope && !LOCKOUT_SCOPES.includes(scope))
+      return res.status(400).json({ error: `scope must be ${LOCKOUT_SCOPES.join(", ")}` });
+
+    const cleared = await clearLockout(pool, subject, scope);
+    res.json({ ok: true, subject, scope, cleared });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-      // mark bets settled + payout_dos
-      for (const b of bets) {
-        const p = payouts.find((x) => x.betId === b.id);
-        const payout = p ? p.payout : 0;
-        await c.query(
-          `UPDATE bets
-           SET settled = TRUE, payout_dos = $1
-           WHERE id=$2`,
-          [payout, b.id]
-        );
-      }
+// ====== ADMIN KEYS / AUDIT (clé racine ADMIN_KEY seulement) ======
 
-      // carry over (on l’enregistre dans une table admin_balance ou ledger spécial)
-      // Ici: on crédite un “admin player” virtuel via dos_ledger (player_id NULL)
-      // => si tu veux un vrai compte admin, on le fera proprement.
-      await c.query(
-        `INSERT INTO admin_ledger (type, amount, meta)
-         VALUES ('CARRY', $1, $2::jsonb)`,
-        [carry, JSON.stringify({ roundId })]
-      );
-      await c.query(
-        `INSERT INTO admin_ledger (type, amount, meta)
-         VALUES ('ADMIN_TAKE', $1, $2::jsonb)`,
-        [adminTake, JSON.stringify({ roundId })]
-      );
+// GET /api/admin/keys?all=1 (all : avec les clés révoquées)
+app.get("/api/admin/keys", requireAdmin("root"), async (req, res) => {
+  try {
+    const all = req.query?.all === "1" || req.query?.all === "true";
+    res.json({ ok: true, scopes: ADMIN_SCOPES, keys: await adminAuth.listKeys({ all }) });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-      await c.query("COMMIT");
+// POST /api/admin/keys { name, scopes: [...] } => la clé en clair n'est rendue qu'ici
+app.post("/api/admin/keys", requireAdmin("root"), async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim();
+    if (!name || name.length > 64) return res.status(400).json({ error: "name required (max 64 chars)" });
+    const sc = parseScopes(req.body?.scopes);
+    if (sc.error) return res.status(400).json({ error: sc.error });
+
+    const k = await adminAuth.createKey({ name, scopes: sc.scopes, createdBy: adminActor(req) });
+    if (k.error) {
+      const { status, ...body } = k;
+      return res.status(status).json(body);
+    }
+    res.json({ ok: true, ...k });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
 
-      res.json({
-        ok: true,
-        roundId,
-        outcome,
-        pot,
-        winPool,
-        carry,
-        adminTake,
-        winnersCount: payouts.filter((x) => x.payout > 0).length,
-      });
-    } catch (e) {
-      await c.query("ROLLBACK");
-      throw e;
-    } finally {
-      c.release();
+// POST /api/admin/keys/:id/rotate { graceMinutes=0 } : nouvelle valeur, l'ancienne valable graceMinutes
+app.post("/api/admin/keys/:id/rotate", requireAdmin("root"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "key id invalid" });
+    const graceMinutes = Number(req.body?.graceMinutes ?? 0);
+    if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > 10080)
+      return res.status(400).json({ error: "graceMinutes must be an integer 0..10080" });
+
+    const k = await adminAuth.rotateKey(id, { graceMinutes });
+    if (k.error) {
+      const { status, ...body } = k;
+      return res.status(status).json(body);
+    }
+    res.json({ ok: true, ...k });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/admin/keys/:id/revoke
+app.post("/api/admin/keys/:id/revoke", requireAdmin("root"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "key id invalid" });
+
+    const k = await adminAuth.revokeKey(id, { revokedBy: adminActor(req) });
+    if (k.error) {
+      const { status, ...body } = k;
+      return res.status(status).json(body);
+    }
+    res.json({ ok: true, ...k });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// GET /api/admin/audit?actor=&keyId=&scope=&method=&path=&status=&since=&until=&beforeId=&limit=100
+// journal des actions admin, du plus récent au plus ancien (pagination : beforeId = nextBeforeId)
+app.get("/api/admin/audit", requireAdmin("root"), async (req, res) => {
+  try {
+    const q = req.query || {};
+    const str = (v) => (v == null || v === "" ? null : String(v));
+    const int = (v) => (v == null || v === "" ? null : Number(v));
+    const limit = Math.min(Math.max(parseInt(q.limit || "100", 10) || 100, 1), 500);
+    const f = {
+      actor: str(q.actor),
+      keyId: int(q.keyId),
+      scope: str(q.scope),
+      method: q.method ? String(q.method).toUpperCase() : null,
+      path: str(q.path),
+      status: int(q.status),
+      since: str(q.since),
+      until: str(q.until),
+      beforeId: int(q.beforeId),
+      limit,
+    };
+    for (const k of ["keyId", "status", "beforeId"]) {
+      if (f[k] != null && !Number.isInteger(f[k])) return res.status(400).json({ error: `${k} must be an integer` });
     }
+    for (const k of ["since", "until"]) {
+      if (f[k] != null && !Number.isFinite(Date.parse(f[k]))) return res.status(400).json({ error: `${k} must be a date` });
+    }
+
+    const entries = await adminAuth.queryAudit(f);
+    res.json({
+      ok: true,
+      entries,
+      nextBeforeId: entries.length === limit ? entries[entries.length - 1].id : null,
+    });
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
+// POST /api/admin/tickets/expire (force un passage du job d'expiration des tickets)
+app.post("/api/admin/tickets/expire", requireAdmin("finance"), async (req, res) => {
+  try {
+    const expired = await runTicketExpiry();
+    res.json({ ok: true, expired });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
@@ -801,6 +3363,7 @@ app.post("/api/settle", async (req, res) => {
 (async () => {
   try {
     await initDb();
+    await loadTiming();
     app.get("/api/dev/convert", (req, res) => {
   const a = req.query.a ?? "1200.5";
   try {
@@ -816,12 +3379,20 @@ app.post("/api/settle", async (req, res) => {
     return res.status(400).json({ error: e.message });
   }
 });
-const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "ADMIN";
-const TICKET_TTL_MINUTES = Number(process.env.TICKET_TTL_MINUTES || 180);
 
+// POST /api/player/ticket/generate { pin, merchantId, amountDos } (Bearer, PIN = confirmation)
 app.post("/api/player/ticket/generate", async (req, res) => {
-  const { username, pin, merchantId, amountDos } = req.body || {};
-  if (!username) return res.status(400).json({ error: "username required" });
+  let authed;
+  try {
+    authed = await getAuthedPlayer(req);
+  } catch (e) {
+    return res.status(500).json({ error: String(e.message || e) });
+  }
+  if (!authed) return res.status(401).json({ error: "unauthorized" });
+  const idem = idempotencyRequest(req, "ticket", authed.id);
+  if (idem?.error) return res.status(400).json({ error: idem.error });
+
+  const { pin, merchantId, amountDos } = req.body || {};
   if (!pin) return res.status(400).json({ error: "pin required" });
   if (!merchantId) return res.status(400).json({ error: "merchantId required" });
   if (amountDos == null) return res.status(400).json({ error: "amountDos required" });
@@ -838,32 +3409,54 @@ app.post("/api/player/ticket/generate", async (req, res) => {
   if (amountUnits <= 0) return res.status(400).json({ error: "amount must be > 0" });
   if (netUnits <= 0) return res.status(400).json({ error: "amount too small (fee exceeds amount)" });
 
+  // tentative réservée avant le verrou du joueur et la vérification du PIN
+  let attempt;
+  try {
+    attempt = await reserveAttempt(pool, "PIN", lockoutSubjects(req, authed.id));
+  } catch (e) {
+    return res.status(500).json({ error: String(e.message || e) });
+  }
+  if (attempt.locked) return sendLocked(res, attempt.locked);
+
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
 
     // lock player row
     const pr = await client.query(
-      "SELECT id, balance_dos, pin_hash FROM players WHERE username=$1 FOR UPDATE",
-      [String(username)]
+      "SELECT id, balance_dos, pin_hash FROM players WHERE id=$1 FOR UPDATE",
+      [String(authed.id)]
     );
     if (pr.rowCount === 0) {
       await client.query("ROLLBACK");
+      await cancelAttempt(pool, attempt);
       return res.status(404).json({ error: "player not found" });
     }
     const player = pr.rows[0];
     if (!player.pin_hash) {
       await client.query("ROLLBACK");
+      await cancelAttempt(pool, attempt);
       return res.status(400).json({ error: "pin not set" });
     }
     if (!verifyPin(pin, player.pin_hash)) {
       await client.query("ROLLBACK");
+      if (attempt.lock) return sendLocked(res, attempt.lock);
       return res.status(401).json({ error: "bad pin" });
     }
+    await attemptSucceeded(pool, attempt);
+
+    // rejeu (le code du ticket n'est renvoyé qu'avec le bon PIN)
+    if (idem) {
+      const prior = await claimIdempotencyKey(client, idem, IDEMPOTENCY_TTL_MS);
+      if (prior) {
+        await client.query("ROLLBACK");
+        return sendIdempotent(res, prior);
+      }
+    }
 
     // merchant must exist
     const mr = await client.query(
-      "SELECT id, type FROM players WHERE id=$1",
+      "SELECT id, type, status FROM players WHERE id=$1",
       [String(merchantId)]
     );
     if (mr.rowCount === 0) {
@@ -874,6 +3467,10 @@ app.post("/api/player/ticket/generate", async (req, res) => {
       await client.query("ROLLBACK");
       return res.status(400).json({ error: "target is not MERCHANT" });
     }
+    if (mr.rows[0].status !== "ACTIVE") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "merchant not active" });
+    }
 
     // funds check (balance_dos = units)
     const bal = BigInt(player.balance_dos);
@@ -882,20 +3479,15 @@ app.post("/api/player/ticket/generate", async (req, res) => {
       return res.status(400).json({ error: "insufficient balance" });
     }
 
-    // debit player now (ticket is funded)
-    await client.query(
-      "UPDATE players SET balance_dos = balance_dos - $1 WHERE id=$2",
-      [String(amountUnits), String(player.id)]
-    );
-
     const code = generateTicketCode(12);
     const codeHash = hashTicketCode(code);
     const expiresAt = new Date(Date.now() + TICKET_TTL_MINUTES * 60 * 1000);
 
-    await client.query(
+    const tr = await client.query(
       `INSERT INTO transfer_tickets
         (code_hash, from_player_id, to_merchant_id, amount_units, fee_units, net_units, expires_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+       VALUES ($1,$2,$3,$4,$5,$6,$7)
+       RETURNING id`,
       [
         codeHash,
         String(player.id),
@@ -906,16 +3498,27 @@ app.post("/api/player/ticket/generate", async (req, res) => {
         expiresAt.toISOString(),
       ]
     );
+    // debit player now (ticket is funded) ; pendant du TICKET_REFUND si le ticket expire ou est annulé
+    await applyBalanceChange(client, events, {
+      playerId: player.id,
+      type: "TICKET",
+      amount: -BigInt(amountUnits),
+      meta: { ticketId: String(tr.rows[0].id), merchantId: String(merchantId) },
+      event: { ticketId: String(tr.rows[0].id) },
+    });
 
-    await client.query("COMMIT");
-    return res.json({
+    const body = {
       ok: true,
       ticket: code,
+      ticket_id: String(tr.rows[0].id),
       expires_at: expiresAt.toISOString(),
       amount_dos: formatUnitsToDos(amountUnits),
       fee_dos: formatUnitsToDos(feeUnits),
       merchant_receives_dos: formatUnitsToDos(netUnits),
-    });
+    };
+    if (idem) await saveIdempotentResponse(client, idem, 200, body);
+    await client.query("COMMIT");
+    return res.json(body);
   } catch (e) {
     await client.query("ROLLBACK");
     return res.status(500).json({ error: String(e.message || e) });
@@ -924,9 +3527,58 @@ app.post("/api/player/ticket/generate", async (req, res) => {
   }
 });
 
+// POST /api/player/ticket/cancel { ticketId } (Bearer) : annule un ticket OPEN du joueur => remboursé
+app.post("/api/player/ticket/cancel", async (req, res) => {
+  try {
+    const authed = await getAuthedPlayer(req);
+    if (!authed) return res.status(401).json({ error: "unauthorized" });
+    const ticketId = Number(req.body?.ticketId);
+    if (!Number.isInteger(ticketId) || ticketId <= 0) return res.status(400).json({ error: "ticketId required" });
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const tr = await client.query(
+        "SELECT * FROM transfer_tickets WHERE id=$1 AND from_player_id=$2 FOR UPDATE",
+        [String(ticketId), String(authed.id)]
+      );
+      if (tr.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "ticket not found" });
+      }
+      const t = tr.rows[0];
+      if (t.status !== "OPEN") {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: `ticket not OPEN (${t.status})` });
+      }
+
+      // déjà expiré : même remboursement, mais on garde le bon statut
+      const status = new Date(t.expires_at).getTime() < Date.now() ? "EXPIRED" : "CANCELLED";
+      await refundTicket(client, events, t, status);
+      await client.query("COMMIT");
+      return res.json({ ok: true, ticket_id: String(t.id), status, refunded_dos: formatUnitsToDos(t.amount_units) });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+  } catch (e) {
+    res.status(500).json({ error: String(e?.message || e) });
+  }
+});
+
     app.listen(PORT, () => {
       console.log(`✅ ddj-api listening on :${PORT}`);
     });
+    startTimingRefresh(TIMING_REFRESH_MS);
+    if (TICKET_EXPIRY_INTERVAL_MS > 0) startTicketExpiry(TICKET_EXPIRY_INTERVAL_MS);
+    if (RECONCILE_INTERVAL_MS > 0) startReconciliation(RECONCILE_INTERVAL_MS);
+    startIdempotencyPrune();
+    await events.start({ retentionHours: EVENTS_RETENTION_HOURS });
+    if (SCHEDULER_ENABLED) {
+      scheduler.start({ intervalMs: SCHEDULER_INTERVAL_MS, maxCatchUp: SCHEDULER_MAX_CATCHUP });
+    }
   } catch (e) {
     console.error("❌ boot error:", e);
     process.exit(1);
@@ -935,79 +3587,173 @@ app.post("/api/player/ticket/generate", async (req, res) => {
 
 // ====== CONFIG ======
 const PORT = process.env.PORT || 3000;
-const ADMIN_KEY = process.env.ADMIN_KEY || "";
 const DATABASE_URL = process.env.DATABASE_URL || "";
-const SIGNUP_BONUS_DOS = parseInt(process.env.SIGNUP_BONUS_DOS || "50", 10);
-const DOS_UNIT = BigInt(process.env.DOS_UNIT || "10");               // 1 DOS = 10 unités
+const SIGNUP_BONUS_UNITS = parseDosToUnits(process.env.SIGNUP_BONUS_DOS || "50"); // env en DOS
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "ADMIN"; // reçoit les frais des tickets
+const TICKET_TTL_MINUTES = Number(process.env.TICKET_TTL_MINUTES || 180);
+const PIN_SETUP_TTL_MINUTES = parseInt(process.env.PIN_SETUP_TTL_MINUTES || "60", 10); // codes de configuration du PIN
+const TICKET_EXPIRY_INTERVAL_MS = parseInt(process.env.TICKET_EXPIRY_INTERVAL_MS || "60000", 10); // 0 = job désactivé
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS || "3600000", 10); // 0 = job désactivé
+// fenêtre de rejeu d'une Idempotency-Key (cf idempotency.js)
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || "24", 10) * 3600 * 1000;
 const TRANSFER_FEE_UNITS = BigInt(process.env.TRANSFER_FEE_UNITS || "5"); // 0.5 DOS
+const PLAYER_TOKEN_TTL_MINUTES = parseInt(process.env.PLAYER_TOKEN_TTL_MINUTES || "30", 10);
+const PLAYER_REFRESH_TTL_DAYS = parseInt(process.env.PLAYER_REFRESH_TTL_DAYS || "30", 10);
+const SCHEDULER_ENABLED = (process.env.SCHEDULER_ENABLED || "1") !== "0";
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || "5000", 10);
+const SCHEDULER_MAX_CATCHUP = parseInt(process.env.SCHEDULER_MAX_CATCHUP || "50", 10); // rounds rattrapés par tick
+const EVENTS_RETENTION_HOURS = parseInt(process.env.EVENTS_RETENTION_HOURS || "24", 10);
+const BETS_CLOSING_SOON_SECONDS = parseInt(process.env.BETS_CLOSING_SOON_SECONDS || "30", 10);
+const MAX_GRIDS_PER_REQUEST = 10; // flash / favorites jouées en une requête
+const MAX_FAVOURITES = 20;
+const SUBSCRIPTION_MAX_DRAWS = parseInt(process.env.SUBSCRIPTION_MAX_DRAWS || "50", 10);
+const TIMING_REFRESH_MS = parseInt(process.env.TIMING_REFRESH_MS || "10000", 10);
+// délai mini avant qu'un changement de timing prenne effet (>> TIMING_REFRESH_MS)
+const TIMING_MIN_LEAD_SECONDS = parseInt(process.env.TIMING_MIN_LEAD_SECONDS || "60", 10);
+const SETTLE_CHUNK_SIZE = parseInt(process.env.SETTLE_CHUNK_SIZE || "5000", 10); // paris / joueurs par transaction
 
-function isPowerOf10(n) {
-  let x = n;
-  while (x > 1n && x % 10n === 0n) x /= 10n;
-  return x === 1n;
+// Fee paramétrable (aujourd’hui fixe, demain tu peux changer la règle)
+function computeTransferFeeUnits(/* amountUnits */) {
+  return TRANSFER_FEE_UNITS;
 }
 
-function decimalsCount(scale) {
-  // scale doit être 10, 100, 1000...
-  if (!isPowerOf10(scale)) throw new Error("DOS_UNIT must be a power of 10 (10,100,1000...)");
-  return scale.toString().length - 1; // 10->1, 100->2, etc.
-}
 
-function parseDosToUnits(dosInput) {
-  const s = String(dosInput ?? "").trim();
-  if (!s) throw new Error("amount_dos required");
-  if (!/^\d+(\.\d+)?$/.test(s)) throw new Error("invalid DOS amount");
+// ====== TIMING ======
+// Config versionnée en base (round_timing_config, cf timing.js), par jeu (games, cf games.js) :
+// l'env ne sert qu'au 1er boot du jeu classique.
+// Chaque instance garde jeux et versions en mémoire et les recharge toutes les TIMING_REFRESH_MS ;
+// un changement est programmé au moins TIMING_MIN_LEAD_SECONDS à l'avance pour que toutes
+// les instances l'aient chargé avant qu'il ne prenne effet.
+let games = [];
+let timingVersions = new Map(); // gameId => versions actives
+let timingRefreshTimer = null;
 
-  const dCount = decimalsCount(DOS_UNIT);
-  const [intPart, decRaw = ""] = s.split(".");
-  if (decRaw.length > dCount) throw new Error(`too many decimals (max ${dCount})`);
+function envTimingDefaults() {
+  let roundSeconds = parseInt(process.env.ROUND_SECONDS || "300", 10); // durée d’un round en secondes
+  let closeBetsAt = parseInt(process.env.CLOSE_BETS_AT || "30", 10); // fermeture X secondes AVANT la fin
+  let anchorMs = parseInt(process.env.ANCHOR_MS || String(Date.now()), 10);
 
-  const decPart = (decRaw + "0".repeat(dCount)).slice(0, dCount); // pad à droite
-  return BigInt(intPart) * DOS_UNIT + BigInt(decPart || "0");
+  // ----- Timing guardrails (anti-bug) -----
+  if (!Number.isFinite(roundSeconds) || roundSeconds < 30) roundSeconds = 300;
+  if (!Number.isFinite(closeBetsAt) || closeBetsAt < 1) closeBetsAt = 30;
+  if (closeBetsAt >= roundSeconds) closeBetsAt = Math.max(1, roundSeconds - 1);
+  if (!Number.isFinite(anchorMs)) anchorMs = Date.now();
+  return { roundSeconds, closeBetsAt, anchorMs };
 }
 
-function formatUnitsToDos(unitsInput) {
-  const u = BigInt(unitsInput);
-  const dCount = decimalsCount(DOS_UNIT);
+async function loadTiming() {
+  if (timingVersions.size === 0) {
+    await ensureInitialTiming(pool, {
+      gameId: CLASSIC_GAME_ID,
+      effectiveRoundId: 0,
+      ...envTimingDefaults(),
+      note: "initial (env)",
+    });
+  }
+  const loadedGames = await loadGames(pool);
+  const byGame = new Map();
+  for (const v of await loadTimingVersions(pool)) {
+    if (!byGame.has(v.gameId)) byGame.set(v.gameId, []);
+    byGame.get(v.gameId).push(v);
+  }
+  for (const g of loadedGames) {
+    if (!byGame.has(g.id)) throw new Error(`round_timing_config is empty for game ${g.code}`);
+  }
+  games = loadedGames;
+  timingVersions = byGame;
+}
 
-  const i = u / DOS_UNIT;
-  const d = (u % DOS_UNIT).toString().padStart(dCount, "0");
-  return d.replace(/0+$/, "") ? `${i}.${d.replace(/0+$/, "")}` : i.toString();
+function startTimingRefresh(refreshMs) {
+  clearInterval(timingRefreshTimer);
+  timingRefreshTimer = setInterval(() => {
+    loadTiming().catch((e) => console.error("❌ timing refresh:", e?.message || e));
+  }, refreshMs);
 }
 
-// Fee paramétrable (aujourd’hui fixe, demain tu peux changer la règle)
-function computeTransferFeeUnits(/* amountUnits */) {
-  return TRANSFER_FEE_UNITS;
+// expiration des tickets non encaissés : un lot par tour, on enchaîne tant qu'il en reste
+let ticketExpiryTimer = null;
+async function runTicketExpiry() {
+  let total = 0;
+  for (;;) {
+    const r = await expireStaleTickets(pool, events);
+    total += r.expired;
+    if (!r.more) return total;
+  }
+}
+
+function startTicketExpiry(intervalMs) {
+  clearInterval(ticketExpiryTimer);
+  ticketExpiryTimer = setInterval(() => {
+    runTicketExpiry()
+      .then((n) => n && console.log(`🎫 ${n} ticket(s) expiré(s) et remboursé(s)`))
+      .catch((e) => console.error("❌ ticket expiry:", e?.message || e));
+  }, intervalMs);
 }
 
+// rapprochement périodique : ne corrige rien, signale les écarts dans les logs
+let reconcileTimer = null;
+let lastReconciliation = null;
+function startReconciliation(intervalMs) {
+  clearInterval(reconcileTimer);
+  reconcileTimer = setInterval(() => {
+    reconcile(pool, { limit: 20 })
+      .then((report) => {
+        lastReconciliation = report;
+        if (!report.ok) {
+          console.error(
+            `❌ ledger drift: ${report.players.drifting} player(s), ${report.games.drifting} game(s)`,
+            JSON.stringify({ players: report.players.drifts, games: report.games.drifts })
+          );
+        }
+      })
+      .catch((e) => console.error("❌ reconciliation:", e?.message || e));
+  }, intervalMs);
+}
 
-// ====== TIMING (UNE SEULE FOIS) ======
-let roundSeconds = parseInt(process.env.ROUND_SECONDS || "300", 10); // durée d’un round en secondes
-let closeBetsAt = parseInt(process.env.CLOSE_BETS_AT || "30", 10); // fermeture X secondes AVANT la fin
-let anchorMs = parseInt(process.env.ANCHOR_MS || String(Date.now()), 10);
+// purge des Idempotency-Key expirées (une clé expirée est de toute façon réutilisable)
+let idempotencyPruneTimer = null;
+function startIdempotencyPrune(intervalMs = 15 * 60 * 1000) {
+  clearInterval(idempotencyPruneTimer);
+  idempotencyPruneTimer = setInterval(() => {
+    pruneIdempotencyKeys(pool).catch((e) => console.error("❌ idempotency prune:", e?.message || e));
+  }, intervalMs);
+}
 
-// ----- Timing guardrails (anti-bug) -----
-if (!Number.isFinite(roundSeconds) || roundSeconds < 30) roundSeconds = 300;
-if (!Number.isFinite(closeBetsAt) || closeBetsAt < 1) closeBetsAt = 30;
-if (closeBetsAt >= roundSeconds) closeBetsAt = Math.max(1, roundSeconds - 1);
-if (!Number.isFinite(anchorMs)) anchorMs = Date.now();
+// version en vigueur maintenant + prochain changement programmé (d'un jeu)
+function timingState(nowMs = Date.now(), gameId = CLASSIC_GAME_ID) {
+  const versions = timingVersions.get(gameId) || [];
+  const current = versionAtTime(versions, nowMs);
+  const pending = versions.filter((v) => v.effectiveAtMs > nowMs);
+  return { current, pending };
+}
 
-// ----- Round engine (single source of truth) -----
-function getRoundInfo(nowMs = Date.now()) {
-  const roundMs = roundSeconds * 1000;
+// jeu par id ou code (null si inconnu)
+function findGame(idOrCode) {
+  const k = String(idOrCode);
+  return games.find((g) => String(g.id) === k || g.code === k) || null;
+}
 
-  const roundId = Math.floor((nowMs - anchorMs) / roundMs);
-  const roundStartMs = anchorMs + roundId * roundMs;
-  const roundEndMs = roundStartMs + roundMs;
+// ?game= / body.game (id ou code, défaut : jeu classique) => { game } | { status, error }
+// opts.active : refuse un jeu désactivé (paris)
+function resolveGame(req, opts = {}) {
+  const key = req.body?.game ?? req.query?.game ?? CLASSIC_GAME_ID;
+  const game = findGame(key);
+  if (!game) return { status: 404, error: "game not found", game: String(key) };
+  if (opts.active && game.status !== "ACTIVE") return { status: 409, error: "game disabled", game: game.code };
+  return { game };
+}
 
-  // fermeture des mises = X secondes AVANT la fin
-  const closeAtMs = roundEndMs - closeBetsAt * 1000;
+// ----- Round engine (single source of truth) -----
+function getRoundInfo(nowMs = Date.now(), gameId = CLASSIC_GAME_ID) {
+  const roundId = roundIdAt(timingVersions.get(gameId) || [], nowMs);
+  const { roundStartMs, roundEndMs, closeAtMs } = getRoundById(roundId);
 
   const betsOpen = nowMs < closeAtMs;
   const secondsLeft = Math.max(0, Math.ceil((roundEndMs - nowMs) / 1000));
   const secondsToClose = Math.max(0, Math.ceil((closeAtMs - nowMs) / 1000));
 
   return {
+    gameId,
     roundId,
     roundStartMs,
     roundEndMs,
@@ -1018,13 +3764,12 @@ function getRoundInfo(nowMs = Date.now()) {
   };
 }
 
-// pour /api/settle: recalculer roundStart/End depuis roundId
+// pour /api/settle: recalculer roundStart/End depuis roundId (avec la version qui s'applique à ce round,
+// dans le jeu propriétaire du round)
 function getRoundById(roundId) {
-  const roundMs = roundSeconds * 1000;
-  const roundStartMs = anchorMs + roundId * roundMs;
-  const roundEndMs = roundStartMs + roundMs;
-  const closeAtMs = roundEndMs - closeBetsAt * 1000;
-  return { roundId, roundStartMs, roundEndMs, closeAtMs };
+  const game = gameForRound(games, roundId);
+  if (!game) throw new Error(`no game for round ${roundId}`);
+  return roundBounds(versionForRound(timingVersions.get(game.id), roundId), roundId);
 }
 
 // ====== DB (Pool local si besoin) ======
@@ -1039,38 +3784,14 @@ const pool2 = new Pool({
 });
 
 // ====== Helpers ======
-function requireAdmin(req) {
-  const k = req.header("x-admin-key") || "";
-  if (!ADMIN_KEY || k !== ADMIN_KEY) return false;
-  return true;
-}
-
-function hashSeed(...parts) {
-  const h = crypto.createHash("sha256");
-  h.update(SECRET_SEED || "dev-seed");
-  for (const p of parts) h.update(String(p));
-  return h.digest("hex");
+// middleware de route admin : x-admin-key avec ce scope, action journalisée (cf admin.js)
+function requireAdmin(scope) {
+  return adminAuth.requireScope(scope);
 }
 
-function pickOutcomeForRound(roundId) {
-  // RNG déterministe (même roundId => même outcome)
-  // outcome = 4 numéros (1..20) + chance (1..5)
-  const hex = hashSeed("round", roundId);
-  // on génère une suite pseudo-aléatoire à partir du hash
-  let idx = 0;
-  const nextInt = (mod) => {
-    const slice = hex.slice(idx, idx + 8);
-    idx = (idx + 8) % hex.length;
-    const n = parseInt(slice, 16);
-    return n % mod;
-  };
-
-  const nums = new Set();
-  while (nums.size < 4) nums.add(1 + nextInt(20));
-  const main = Array.from(nums).sort((a, b) => a - b);
-  const chance = 1 + nextInt(5);
-
-  return { main, chance };
+// qui fait l'action admin (trace) : nom de la clé, ou "root" / "root:<x-admin-user>" avec ADMIN_KEY
+function adminActor(req) {
+  return req.admin?.actor || "admin";
 }
 
 function normalizeNums(nums) {
@@ -1086,42 +3807,88 @@ function choiceKey(nums, chance) {
   return `${nums.join("-")}#${chance}`;
 }
 
-function countMatches(aNums, bNums) {
-  const setB = new Set(bNums);
-  let m = 0;
-  for (const n of aNums) if (setB.has(n)) m++;
-  return m;
+// toutes les combinaisons de k éléments (ordre conservé) : C(8,4) = 70 au classique
+function combinations(arr, k) {
+  const out = [];
+  const pick = [];
+  (function rec(start) {
+    if (pick.length === k) return out.push(pick.slice());
+    for (let i = start; i <= arr.length - (k - pick.length); i++) {
+      pick.push(arr[i]);
+      rec(i + 1);
+      pick.pop();
+    }
+  })(0);
+  return out;
+}
+
+// { nums, chances | chance } => { nums, chances } triés | { error } (règles de /api/bet, bornes du jeu)
+function parseGrid(body, game) {
+  const nn = normalizeNums(Array.isArray(body?.nums) ? body.nums.map(Number) : []);
+  // validation nums drawCount..pickMax (classique 4..8, ton UI montre max 8)
+  if (nn.length < game.drawCount || nn.length > game.pickMax)
+    return { error: `nums length must be ${game.drawCount}..${game.pickMax} unique` };
+  if (nn.some((n) => !Number.isInteger(n) || n < 1 || n > game.numsMax)) return { error: `nums must be 1..${game.numsMax}` };
+
+  // chance 1..chanceMax (mais ta règle “min 1 max 3” côté UI, serveur accepte 1..5) ; `chance` seul = compat
+  const rawChances = Array.isArray(body?.chances) ? body.chances : [body?.chance];
+  if (rawChances.length === 0 || rawChances.some((c) => !Number.isInteger(Number(c)) || c < 1 || c > game.chanceMax))
+    return { error: `chance must be 1..${game.chanceMax}` };
+  const chances = normalizeNums(rawChances.map(Number));
+  if (chances.length !== rawChances.length) return { error: "chances must be unique" };
+
+  return { nums: nn, chances };
+}
+
+// grille + mise par combinaison => { game, nums, chances, stake, lines:[{nums, chance, choice}], total }
+function expandGrid(grid, stake, game) {
+  const lines = [];
+  for (const combo of combinations(grid.nums, game.drawCount)) {
+    for (const chance of grid.chances) lines.push({ nums: combo, chance, choice: choiceKey(combo, chance) });
+  }
+  return { game, nums: grid.nums, chances: grid.chances, stake, lines, total: stake * BigInt(lines.length) };
+}
+
+function parseStake(amount) {
+  try {
+    const stake = parseDosToUnits(amount);
+    return stake > 0n ? stake : null;
+  } catch {
+    return null;
+  }
+}
+
+// body de /api/bet(/quote) => expandGrid(...) | { error }
+function parseBetRequest(body, game) {
+  const grid = parseGrid(body, game);
+  if (grid.error) return grid;
+  const stake = parseStake(body?.amount);
+  if (stake == null) return { error: "amount invalid" };
+  return expandGrid(grid, stake, game);
 }
 
-function prizeCategory(matches, chanceOk) {
-  // Tes catégories (avec ton ajout 1 juste + 1 chance)
-  // Format "X+Y" (X matches, Y = 1 si chance ok)
-  const c = chanceOk ? 1 : 0;
-
-  if (matches >= 4 && c === 1) return "4+1";
-  if (matches >= 4 && c === 0) return "4+0";
-  if (matches === 3 && c === 1) return "3+1";
-  if (matches === 3 && c === 0) return "3+0";
-  if (matches === 2 && c === 1) return "2+1";
-  if (matches === 2 && c === 0) return "2+0";
-  if (matches === 1 && c === 1) return "1+1";
-  return null;
+// grille "flash" : tirage crypto, mêmes bornes que parseGrid
+function quickPickGrid(game, size = game.drawCount, chanceCount = 1) {
+  const pick = (max, n) => {
+    const pool = Array.from({ length: max }, (_, i) => i + 1);
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, n).sort((a, b) => a - b);
+  };
+  return { nums: pick(game.numsMax, size), chances: pick(game.chanceMax, chanceCount) };
 }
 
-// ====== Config gains (tes règles) ======
-const WIN_POOL_PERCENT = 0.65; // 65% du total des mises du round
-const CARRY_PERCENT = 0.10; // 10% report au prochain round
-const ADMIN_PERCENT = 0.25; // 25% admin (solde admin)
-
-// Répartition interne du "win pool" par catégories
-// (tu peux ajuster, mais on garde une base cohérente)
-const POT_SHARES = {
-  "4+1": 0.35,
-  "4+0": 0.15,
-  "3+1": 0.18,
-  "3+0": 0.10,
-  "2+1": 0.10,
-  "2+0": 0.07,
-  "1+1": 0.05,
-};
+function formatBetQuote(q) {
+  return {
+    game: q.game.code,
+    nums: q.nums,
+    chances: q.chances,
+    combinations: q.lines.length / q.chances.length,
+    lines: q.lines.length,
+    stakePerLine: formatUnitsToDos(q.stake),
+    total: formatUnitsToDos(q.total),
+  };
+}
 
@@ -0,0 +1,699 @@
+// settlement.js
+// Règlement d'un round, en SQL ensembliste et par morceaux (reprenable après un crash) :
+//  1. ouverture (1 transaction courte) : tirage, split, jackpot, compta admin, gains calculés
+//     en mémoire puis stockés dans settlement_payouts ; round_results écrit => tirage figé
+//  2. BETS : paris marqués réglés par tranches d'id (UPDATE ... FROM settlement_payouts)
+//  3. PLAYERS : crédits agrégés par joueur (1 applyBalanceChanges par tranche, cf ledger.js), événements
+// settlement_runs garde le curseur de chaque phase : une tranche = une transaction.
+import { ensureRoundSeed, outcomeFromSeeds } from "./fairness.js";
+import { jackpotCategory, loadGameForRound, potShares, prizeCategory, prizeMultipliers } from "./games.js";
+import { applyBalanceChanges } from "./ledger.js";
+import { applyRate, formatUnitsToDos, toUnits } from "./money.js";
+
+// namespace pg_advisory_xact_lock(ns, roundId) : règlement, tranches et void d'un même round (exclusif), paris (partagé)
+// ne peuvent jamais se croiser (sur N instances)
+export const SETTLE_LOCK_NS = 0x0dd1;
+
+// verrou du round pour la transaction en cours. La clé est un int4 : on garde les 32 bits bas
+// du roundId (les rounds des jeux > 1 dépassent 2^31, cf games.js ROUND_SPACE).
+export async function lockRound(db, roundId) {
+  await db.query(`SELECT pg_advisory_xact_lock($1, ($2::bigint)::bit(32)::int)`, [SETTLE_LOCK_NS, String(roundId)]);
+}
+
+// même verrou en mode partagé (paris) : les paris d'un round passent en parallèle, mais ni
+// pendant son void ni pendant son règlement
+export async function lockRoundShared(db, roundId) {
+  await db.query(`SELECT pg_advisory_xact_lock_shared($1, ($2::bigint)::bit(32)::int)`, [
+    SETTLE_LOCK_NS,
+    String(roundId),
+  ]);
+}
+
+export function pickOutcomeForRound(roundId, { serverSeed, clientSeed = "" }, game) {
+  // RNG déterministe (mêmes seeds => même outcome), vérifiable via /api/rounds/:id/verify
+  // outcome = drawCount numéros (1..numsMax) + chance (1..chanceMax), règles du jeu du round
+  return outcomeFromSeeds(serverSeed, clientSeed, roundId, game);
+}
+
+export function countMatches(aNums, bNums) {
+  const setB = new Set(bNums);
+  let m = 0;
+  for (const n of aNums) if (setB.has(n)) m++;
+  return m;
+}
+
+// Règles du partage d'un jeu (surchargeables par le what-if admin)
+export function settleRules(game, overrides = {}) {
+  return {
+    prizeMode: game.prizeMode,
+    multipliers: overrides.multipliers ?? prizeMultipliers(game),
+    winPoolPercent: overrides.winPoolPercent ?? game.winPoolPercent,
+    carryPercent: overrides.carryPercent ?? game.carryPercent,
+    potShares: overrides.potShares ?? potShares(game),
+    prizes: game.prizes,
+    jackpotCategory: jackpotCategory(game),
+    jackpotSeedUnits: game.jackpotSeedUnits,
+  };
+}
+
+// Calcul du règlement d'un round, sans aucune écriture : utilisé par le règlement
+// et par la prévisualisation admin (dry-run / what-if).
+// bets = lignes de `bets` du round ; montants en unités BigInt.
+export function computeSettlement({ bets, outcome, carryIn, jackpotBefore, rules }) {
+  if (rules.prizeMode === "FIXED") return computeFixedSettlement({ bets, outcome, carryIn, jackpotBefore, rules });
+
+  // split des mises (unités entières, arrondi à l'inférieur ; le reste va à l'admin)
+  // le carry entrant a déjà été "taxé" au round précédent => 100% dans le winPool
+  const totalBets = bets.reduce((s, b) => s + toUnits(b.amount), 0n);
+  const betsWinPool = applyRate(totalBets, rules.winPoolPercent);
+  const carry = applyRate(totalBets, rules.carryPercent);
+  const adminTake = totalBets - betsWinPool - carry; // le reste
+  const pot = totalBets + carryIn;
+  const winPool = betsWinPool + carryIn;
+
+  // jackpot progressif : la part de la catégorie jackpot ("4+1" au classique) alimente le jackpot à chaque round
+  const jackpotContribution = applyRate(winPool, rules.potShares[rules.jackpotCategory] || 0);
+  let jackpot = jackpotBefore + jackpotContribution;
+
+  // bucket winners by category
+  const winnersByCat = {};
+  for (const cat of Object.keys(rules.potShares)) winnersByCat[cat] = [];
+
+  for (const b of bets) {
+    if (b.settled) continue;
+    const nums = b.nums || [];
+    const chanceOk = Number(b.chance) === Number(outcome.chance);
+    const matches = countMatches(nums, outcome.main);
+    const cat = prizeCategory(rules.prizes, matches, chanceOk);
+    if (cat && winnersByCat[cat]) winnersByCat[cat].push(b);
+  }
+
+  // calc payouts per category
+  // catégorie sans gagnant => sa part n'est pas perdue, elle part dans le carry sortant
+  const payouts = [];
+  const unclaimedCats = [];
+  const categories = [];
+  for (const [cat, winners] of Object.entries(winnersByCat)) {
+    const share = rules.potShares[cat] || 0;
+    if (cat === rules.jackpotCategory) continue; // payé plus bas, depuis le jackpot
+    const catPool = applyRate(winPool, share);
+    categories.push({ category: cat, share, pool: catPool, winners: winners.length });
+
+    if (!winners.length) {
+      if (catPool > 0n) unclaimedCats.push(cat);
+      continue;
+    }
+
+    // distrib = proportionnel au montant des mises gagnantes (simple et robuste)
+    const totalStake = winners.reduce((s, b) => s + toUnits(b.amount), 0n) || 1n;
+
+    for (const b of winners) {
+      const stake = toUnits(b.amount);
+      const payout = (catPool * stake) / totalStake;
+      payouts.push({ betId: b.id, playerId: b.player_id, cat, payout });
+    }
+  }
+
+  // catégorie jackpot : le jackpot entier est partagé entre les gagnants (au prorata des mises),
+  // puis réamorcé au minimum garanti (pris sur le solde admin)
+  const jackpotWinners = (rules.jackpotCategory && winnersByCat[rules.jackpotCategory]) || [];
+  const poolPaid = payouts.reduce((s, p) => s + p.payout, 0n);
+  let jackpotPaid = 0n;
+  let jackpotSeed = 0n;
+  if (jackpotWinners.length) {
+    const totalStake = jackpotWinners.reduce((s, b) => s + toUnits(b.amount), 0n) || 1n;
+    for (const b of jackpotWinners) {
+      const payout = (jackpot * toUnits(b.amount)) / totalStake;
+      payouts.push({ betId: b.id, playerId: b.player_id, cat: rules.jackpotCategory, payout, jackpot: true });
+      jackpotPaid += payout;
+    }
+    jackpot -= jackpotPaid; // poussières d'arrondi restent dans le jackpot
+    if (jackpot < rules.jackpotSeedUnits) {
+      jackpotSeed = rules.jackpotSeedUnits - jackpot;
+      jackpot += jackpotSeed;
+    }
+  }
+  if (rules.jackpotCategory) {
+    categories.push({
+      category: rules.jackpotCategory,
+      share: rules.potShares[rules.jackpotCategory] || 0,
+      pool: jackpotBefore + jackpotContribution,
+      winners: jackpotWinners.length,
+      jackpot: true,
+    });
+  }
+
+  // carry sortant = 10% des mises + tout ce qui n'a pas été payé du winPool
+  // (catégories sans gagnant + poussières d'arrondi) => pot du round suivant
+  const unclaimed = winPool - jackpotContribution - poolPaid;
+  const carryOut = carry + unclaimed;
+  const winnersCount = payouts.filter((x) => x.payout > 0n).length;
+
+  return {
+    totalBets,
+    carryIn,
+    pot,
+    winPool,
+    carry,
+    adminTake,
+    jackpotBefore,
+    jackpotContribution,
+    jackpot,
+    jackpotWinners,
+    jackpotPaid,
+    jackpotSeed,
+    payouts,
+    poolPaid,
+    categories,
+    unclaimed,
+    unclaimedCats,
+    carryOut,
+    winnersCount,
+    reserveDelta: 0n,
+  };
+}
+
+// Cote fixe : chaque ligne gagnante rapporte mise x multiplier de sa catégorie, payé par la réserve ;
+// toutes les mises vont à la réserve (reserveDelta = mises - gains, négatif si le round coûte).
+// Pas de winPool, de carry ni de jackpot : ces champs restent à 0 / inchangés (même forme que le pari-mutuel).
+function computeFixedSettlement({ bets, outcome, carryIn, jackpotBefore, rules }) {
+  const totalBets = bets.reduce((s, b) => s + toUnits(b.amount), 0n);
+  const payouts = [];
+  const byCat = new Map(Object.keys(rules.multipliers).map((cat) => [cat, { winners: 0, paid: 0n }]));
+
+  for (const b of bets) {
+    if (b.settled) continue;
+    const chanceOk = Number(b.chance) === Number(outcome.chance);
+    const cat = prizeCategory(rules.prizes, countMatches(b.nums || [], outcome.main), chanceOk);
+    if (!cat || !byCat.has(cat)) continue;
+    const payout = applyRate(b.amount, rules.multipliers[cat]);
+    payouts.push({ betId: b.id, playerId: b.player_id, cat, payout });
+    byCat.get(cat).winners++;
+    byCat.get(cat).paid += payout;
+  }
+
+  const poolPaid = payouts.reduce((s, p) => s + p.payout, 0n);
+  return {
+    totalBets,
+    carryIn,
+    pot: totalBets,
+    winPool: poolPaid,
+    carry: 0n,
+    adminTake: 0n,
+    jackpotBefore,
+    jackpotContribution: 0n,
+    jackpot: jackpotBefore,
+    jackpotWinners: [],
+    jackpotPaid: 0n,
+    jackpotSeed: 0n,
+    payouts,
+    poolPaid,
+    categories: Array.from(byCat.entries()).map(([category, x]) => ({
+      category,
+      multiplier: rules.multipliers[category],
+      share: 0,
+      pool: x.paid,
+      winners: x.winners,
+    })),
+    unclaimed: 0n,
+    unclaimedCats: [],
+    carryOut: carryIn,
+    winnersCount: payouts.filter((x) => x.payout > 0n).length,
+    reserveDelta: totalBets - poolPaid,
+  };
+}
+
+export function createSettlementEngine({ pool, events }) {
+  // phase 1 : tirage + comptabilité du round + gains calculés, en une transaction.
+  // => { summary } | { alreadySettled } | { void } | { resume } (ouverture déjà faite)
+  async function openRun(roundId) {
+    const c = await pool.connect();
+    try {
+      await c.query("BEGIN");
+      await lockRound(c, roundId);
+
+      // anti double-settle (ou reprise d'un règlement interrompu)
+      const already = await c.query(
+        `SELECT rr.outcome, rr.settled_at, sr.status
+         FROM round_results rr
+         LEFT JOIN settlement_runs sr ON sr.round_id = rr.round_id
+         WHERE rr.round_id=$1`,
+        [roundId]
+      );
+      if (already.rowCount > 0) {
+        await c.query("ROLLBACK");
+        const row = already.rows[0];
+        if (row.status && row.status !== "DONE") return { resume: true };
+        return { alreadySettled: true, roundId, outcome: row.outcome, settledAt: row.settled_at };
+      }
+
+      // round annulé (mises remboursées) => jamais réglé
+      const voided = await c.query(`SELECT reason, voided_at FROM round_voids WHERE round_id=$1`, [roundId]);
+      if (voided.rowCount > 0) {
+        await c.query("ROLLBACK");
+        return { void: true, roundId, reason: voided.rows[0].reason, voidedAt: voided.rows[0].voided_at };
+      }
+
+      // règles : celles du jeu du round
+      const game = await loadGameForRound(c, roundId);
+      if (!game) throw new Error(`no game for round ${roundId}`);
+
+      // outcome (commit-reveal) : seed committé avant la fermeture, révélé ici
+      const seed = await ensureRoundSeed(c, roundId);
+      const outcome = pickOutcomeForRound(roundId, {
+        serverSeed: seed.server_seed,
+        clientSeed: seed.client_seed || "",
+      }, game);
+      await c.query(`UPDATE round_seeds SET revealed_at=NOW() WHERE round_id=$1`, [roundId]);
+
+      // carry entrant (report des rounds précédents) + jackpot + réserve, verrouillés jusqu'au COMMIT
+      const bankR = await c.query(
+        `SELECT carry_dos, jackpot_dos, reserve_dos FROM game_bank WHERE id=$1 FOR UPDATE`,
+        [game.id]
+      );
+
+      // store result
+      await c.query(
+        `INSERT INTO round_results (round_id, outcome)
+         VALUES ($1, $2)`,
+        [roundId, JSON.stringify(outcome)]
+      );
+
+      // lecture seule des paris : le round est fermé et le verrou de round exclut void / autre règlement
+      const betsR = await c.query(
+        `SELECT id, player_id, nums, chance, amount, settled
+         FROM bets
+         WHERE round_id=$1
+         ORDER BY id ASC`,
+        [roundId]
+      );
+
+      const calc = computeSettlement({
+        bets: betsR.rows,
+        outcome,
+        carryIn: toUnits(bankR.rows[0]?.carry_dos),
+        jackpotBefore: toUnits(bankR.rows[0]?.jackpot_dos),
+        rules: settleRules(game),
+      });
+      const {
+        totalBets,
+        carryIn,
+        pot,
+        winPool,
+        carry,
+        adminTake,
+        jackpotBefore,
+        jackpotContribution,
+        jackpot,
+        jackpotWinners,
+        jackpotPaid,
+        jackpotSeed,
+        payouts,
+        unclaimed,
+        unclaimedCats,
+        carryOut,
+        winnersCount,
+        reserveDelta,
+      } = calc;
+      const fixed = game.prizeMode === "FIXED";
+      const reserveBefore = toUnits(bankR.rows[0]?.reserve_dos);
+
+      // gains par pari (appliqués ensuite par tranches)
+      if (payouts.length) {
+        await c.query(
+          `INSERT INTO settlement_payouts (round_id, bet_id, player_id, category, payout)
+           SELECT $1, x.bet_id, x.player_id, x.category, x.payout
+           FROM unnest($2::bigint[], $3::bigint[], $4::text[], $5::bigint[]) AS x(bet_id, player_id, category, payout)`,
+          [
+            roundId,
+            payouts.map((p) => String(p.betId)),
+            payouts.map((p) => String(p.playerId)),
+            payouts.map((p) => p.cat),
+            payouts.map((p) => String(p.payout)),
+          ]
+        );
+      }
+
+      await c.query(
+        `UPDATE game_bank
+         SET carry_dos = $1,
+             jackpot_dos = $2,
+             admin_balance_dos = admin_balance_dos + $3 - $4,
+             reserve_dos = reserve_dos + $6,
+             updated_at = NOW()
+         WHERE id=$5`,
+        [String(carryOut), String(jackpot), String(adminTake), String(jackpotSeed), game.id, String(reserveDelta)]
+      );
+
+      // historique jackpot : contribution, gains, réamorçage (jeux sans jackpot : rien)
+      let jackpotRunning = jackpotBefore + jackpotContribution;
+      if (!fixed) {
+        await c.query(
+          `INSERT INTO jackpot_history (round_id, type, amount, jackpot_after)
+           VALUES ($1, 'CONTRIBUTION', $2, $3)`,
+          [roundId, String(jackpotContribution), String(jackpotRunning)]
+        );
+      }
+      const jackpotWins = payouts.filter((p) => p.jackpot).map((p) => {
+        jackpotRunning -= p.payout;
+        return { ...p, after: jackpotRunning };
+      });
+      if (jackpotWins.length) {
+        await c.query(
+          `INSERT INTO jackpot_history (round_id, type, amount, jackpot_after, bet_id, player_id)
+           SELECT $1, 'WIN', x.amount, x.after, x.bet_id, x.player_id
+           FROM unnest($2::bigint[], $3::bigint[], $4::bigint[], $5::bigint[])
+             WITH ORDINALITY AS x(amount, after, bet_id, player_id, n)
+           ORDER BY x.n`,
+          [
+            roundId,
+            jackpotWins.map((p) => String(-p.payout)),
+            jackpotWins.map((p) => String(p.after)),
+            jackpotWins.map((p) => String(p.betId)),
+            jackpotWins.map((p) => String(p.playerId)),
+          ]
+        );
+      }
+      if (jackpotSeed > 0n) {
+        await c.query(
+          `INSERT INTO jackpot_history (round_id, type, amount, jackpot_after)
+           VALUES ($1, 'SEED', $2, $3)`,
+          [roundId, String(jackpotSeed), String(jackpot)]
+        );
+        await c.query(
+          `INSERT INTO admin_ledger (game_id, type, amount, meta)
+           VALUES ($3, 'JACKPOT_SEED', $1, $2::jsonb)`,
+          [String(-jackpotSeed), JSON.stringify({ roundId }), game.id]
+        );
+      }
+
+      await c.query(
+        `INSERT INTO rounds
+           (round_id, draw_nums, draw_chance, total_bets_dos, pot_total_dos,
+            admin_take_dos, carry_in_dos, carry_out_dos, win_pool_dos, carry_from_bets_dos,
+            unclaimed_dos, jackpot_contribution_dos, winners_count, settled_at)
+         VALUES ($1, $2::int[], $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+         ON CONFLICT (round_id) DO UPDATE SET
+           draw_nums = EXCLUDED.draw_nums,
+           draw_chance = EXCLUDED.draw_chance,
+           total_bets_dos = EXCLUDED.total_bets_dos,
+           pot_total_dos = EXCLUDED.pot_total_dos,
+           admin_take_dos = EXCLUDED.admin_take_dos,
+           carry_in_dos = EXCLUDED.carry_in_dos,
+           carry_out_dos = EXCLUDED.carry_out_dos,
+           win_pool_dos = EXCLUDED.win_pool_dos,
+           carry_from_bets_dos = EXCLUDED.carry_from_bets_dos,
+           unclaimed_dos = EXCLUDED.unclaimed_dos,
+           jackpot_contribution_dos = EXCLUDED.jackpot_contribution_dos,
+           winners_count = EXCLUDED.winners_count,
+           settled_at = EXCLUDED.settled_at`,
+        [
+          roundId,
+          outcome.main,
+          outcome.chance,
+          String(totalBets),
+          String(pot),
+          String(adminTake),
+          String(carryIn),
+          String(carryOut),
+          String(winPool),
+          String(carry),
+          String(unclaimed),
+          String(jackpotContribution),
+          winnersCount,
+        ]
+      );
+
+      // admin_ledger = trace comptable du carry et de la part admin
+      await c.query(
+        `INSERT INTO admin_ledger (game_id, type, amount, meta)
+         VALUES ($3, 'CARRY', $1, $2::jsonb)`,
+        [
+          String(carryOut),
+          JSON.stringify({
+            roundId,
+            carryIn: String(carryIn),
+            fromBets: String(carry),
+            unclaimed: String(unclaimed),
+            unclaimedCats,
+          }),
+          game.id,
+        ]
+      );
+      await c.query(
+        `INSERT INTO admin_ledger (game_id, type, amount, meta)
+         VALUES ($3, 'ADMIN_TAKE', $1, $2::jsonb)`,
+        [String(adminTake), JSON.stringify({ roundId }), game.id]
+      );
+      if (fixed) {
+        // cote fixe : mises encaissées et gains payés par la réserve du jeu
+        await c.query(
+          `INSERT INTO admin_ledger (game_id, type, amount, meta)
+           VALUES ($3, 'RESERVE', $1, $2::jsonb)`,
+          [
+            String(reserveDelta),
+            JSON.stringify({
+              roundId,
+              game: game.code,
+              stakes: String(totalBets),
+              paid: String(calc.poolPaid),
+              reserveAfter: String(reserveBefore + reserveDelta),
+            }),
+            game.id,
+          ]
+        );
+      }
+
+      // temps réel : résultat public + jackpot (paris et soldes des joueurs : phase PLAYERS)
+      await events.publish(c, "round.result", {
+        roundId,
+        game: game.code,
+        outcome,
+        seedHash: seed.seed_hash,
+        pot: formatUnitsToDos(pot),
+        winnersCount,
+      }, { key: `round.result:${roundId}` });
+      if (!fixed) {
+        await events.publish(c, "jackpot.updated", {
+          roundId,
+          game: game.code,
+          jackpot: formatUnitsToDos(jackpot),
+          won: jackpotWinners.length > 0,
+        });
+      }
+
+      const summary = {
+        ok: true,
+        roundId,
+        game: game.code,
+        outcome,
+        seedHash: seed.seed_hash,
+        totalBets: formatUnitsToDos(totalBets),
+        carryIn: formatUnitsToDos(carryIn),
+        pot: formatUnitsToDos(pot),
+        winPool: formatUnitsToDos(winPool),
+        carry: formatUnitsToDos(carry),
+        unclaimed: formatUnitsToDos(unclaimed),
+        unclaimedCats,
+        carryOut: formatUnitsToDos(carryOut),
+        adminTake: formatUnitsToDos(adminTake),
+        jackpot: {
+          before: formatUnitsToDos(jackpotBefore),
+          contribution: formatUnitsToDos(jackpotContribution),
+          paid: formatUnitsToDos(jackpotPaid),
+          seed: formatUnitsToDos(jackpotSeed),
+          after: formatUnitsToDos(jackpot),
+          winners: jackpotWinners.length,
+        },
+        winnersCount,
+        bets: betsR.rowCount,
+        ...(fixed
+          ? {
+              reserve: {
+                before: formatUnitsToDos(reserveBefore),
+                paid: formatUnitsToDos(calc.poolPaid),
+                after: formatUnitsToDos(reserveBefore + reserveDelta),
+              },
+            }
+          : {}),
+      };
+      await c.query(
+        `INSERT INTO settlement_runs (round_id, status, summary) VALUES ($1, 'BETS', $2::jsonb)`,
+        [roundId, JSON.stringify(summary)]
+      );
+
+      await c.query("COMMIT");
+      return { summary };
+    } catch (e) {
+      await c.query("ROLLBACK");
+      throw e;
+    } finally {
+      c.release();
+    }
+  }
+
+  // une tranche (une transaction) ; => statut du run après la tranche
+  async function runChunk(roundId, chunkSize) {
+    const c = await pool.connect();
+    try {
+      await c.query("BEGIN");
+      await lockRound(c, roundId);
+
+      const runR = await c.query(`SELECT * FROM settlement_runs WHERE round_id=$1 FOR UPDATE`, [roundId]);
+      const run = runR.rows[0];
+      if (!run || run.status === "DONE") {
+        await c.query("ROLLBACK");
+        return run?.status || "DONE";
+      }
+
+      let status = run.status;
+      if (status === "BETS") {
+        // paris réglés par tranche d'id : gain + catégorie depuis settlement_payouts (0 / NULL sinon)
+        const r = await c.query(
+          `WITH chunk AS (
+             SELECT id FROM bets WHERE round_id=$1 AND id > $2 ORDER BY id ASC LIMIT $3
+           ), upd AS (
+             UPDATE bets b
+             SET settled = TRUE, payout_dos = COALESCE(sp.payout, 0), category = sp.category
+             FROM chunk
+             LEFT JOIN settlement_payouts sp ON sp.round_id = $1 AND sp.bet_id = chunk.id
+             WHERE b.id = chunk.id
+             RETURNING b.id
+           )
+           SELECT COUNT(*)::int AS n, MAX(id) AS last FROM upd`,
+          [roundId, String(run.bets_cursor), chunkSize]
+        );
+        const { n, last } = r.rows[0];
+        if (n === 0) status = "PLAYERS";
+        await c.query(
+          `UPDATE settlement_runs
+           SET status=$2, bets_cursor=COALESCE($3, bets_cursor), bets_done=bets_done+$4,
+               chunks=chunks+1, updated_at=NOW()
+           WHERE round_id=$1`,
+          [roundId, status, last, n]
+        );
+      } else if (status === "PLAYERS") {
+        const pr = await c.query(
+          `SELECT DISTINCT player_id FROM bets
+           WHERE round_id=$1 AND player_id > $2
+           ORDER BY player_id ASC
+           LIMIT $3`,
+          [roundId, String(run.players_cursor), chunkSize]
+        );
+        const playerIds = pr.rows.map((r) => String(r.player_id));
+
+        if (playerIds.length === 0) {
+          status = "DONE";
+          await c.query(`DELETE FROM settlement_payouts WHERE round_id=$1`, [roundId]);
+          await c.query(
+            `UPDATE settlement_runs
+             SET status='DONE', chunks=chunks+1, finished_at=NOW(), updated_at=NOW()
+             WHERE round_id=$1`,
+            [roundId]
+          );
+        } else {
+          // crédit agrégé par joueur + une écriture WIN par joueur (balance.changed publiés plus bas)
+          const aggR = await c.query(
+            `SELECT player_id, SUM(payout) AS amount
+             FROM settlement_payouts
+             WHERE round_id=$1 AND player_id = ANY($2::bigint[])
+             GROUP BY player_id
+             HAVING SUM(payout) > 0`,
+            [roundId, playerIds]
+          );
+          const credited = await applyBalanceChanges(
+            c,
+            events,
+            "WIN",
+            aggR.rows.map((r) => ({
+              playerId: r.player_id,
+              amount: toUnits(r.amount),
+              meta: { roundId, note: "payout by categories" },
+              event: false,
+            }))
+          );
+          const balances = new Map(credited.map((r) => [r.playerId, r.after]));
+
+          // temps réel : à chaque joueur ses paris + son solde
+          const betsR = await c.query(
+            `SELECT player_id, id, category, payout_dos
+             FROM bets
+             WHERE round_id=$1 AND player_id = ANY($2::bigint[])
+             ORDER BY id ASC`,
+            [roundId, playerIds]
+          );
+          const betsByPlayer = new Map();
+          for (const b of betsR.rows) {
+            const k = String(b.player_id);
+            if (!betsByPlayer.has(k)) betsByPlayer.set(k, []);
+            betsByPlayer.get(k).push({
+              betId: b.id,
+              category: b.category,
+              payout: formatUnitsToDos(b.payout_dos),
+            });
+          }
+          const outcome = run.summary.outcome;
+          const evs = [];
+          for (const [playerId, playerBets] of betsByPlayer.entries()) {
+            evs.push({ type: "bets.settled", playerId, payload: { roundId, outcome, bets: playerBets } });
+            if (balances.has(playerId)) {
+              evs.push({
+                type: "balance.changed",
+                playerId,
+                payload: { balance: formatUnitsToDos(balances.get(playerId)), reason: "WIN", roundId },
+              });
+            }
+          }
+          await events.publishMany(c, evs);
+
+          await c.query(
+            `UPDATE settlement_runs
+             SET players_cursor=$2, players_done=players_done+$3, chunks=chunks+1, updated_at=NOW()
+             WHERE round_id=$1`,
+            [roundId, playerIds[playerIds.length - 1], playerIds.length]
+          );
+        }
+      }
+
+      await c.query("COMMIT");
+      return status;
+    } catch (e) {
+      await c.query("ROLLBACK");
+      throw e;
+    } finally {
+      c.release();
+    }
+  }
+
+  // settleRound(roundId) => summary (+ chunks) | { alreadySettled } | { void }
+  // Un règlement interrompu (crash, erreur) reprend là où il s'était arrêté.
+  async function settleRound(roundId, opts = {}) {
+    const chunkSize = Number.isInteger(opts.chunkSize) && opts.chunkSize > 0 ? opts.chunkSize : 5000;
+
+    const opened = await openRun(roundId);
+    if (opened.alreadySettled || opened.void) return opened;
+
+    let status = "BETS";
+    while (status !== "DONE") status = await runChunk(roundId, chunkSize);
+
+    const r = await pool.query(
+      `SELECT summary, chunks, bets_done, players_done, started_at, finished_at
+       FROM settlement_runs WHERE round_id=$1`,
+      [roundId]
+    );
+    const run = r.rows[0];
+    return {
+      ...run.summary,
+      resumed: !!opened.resume,
+      run: {
+        chunks: run.chunks,
+        bets: run.bets_done,
+        players: run.players_done,
+        startedAt: run.started_at,
+        finishedAt: run.finished_at,
+      },
+    };
+  }
+
+  return { settleRound };
+}
@@ -0,0 +1,96 @@
+// test/lockout.test.js
+// Anti force brute contre une vraie base (DATABASE_URL, migrations appliquées au début) : npm test
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+import { pool } from "../db.js";
+import { migrateUp } from "../migrate.js";
+import { attemptSucceeded, cancelAttempt, ipSubject, playerSubject, reserveAttempt } from "../lockout.js";
+import { hashPin, verifyPin } from "../pins.js";
+
+const MAX_ATTEMPTS = parseInt(process.env.LOCKOUT_MAX_ATTEMPTS || "5", 10);
+const PIN = "2468";
+
+// sujets propres à chaque test (la base peut servir à autre chose)
+const uid = () => `test-${crypto.randomBytes(6).toString("hex")}`;
+const subjectsFor = () => [playerSubject(uid()), ipSubject(uid())];
+
+async function row(scope, subject) {
+  const r = await pool.query(
+    `SELECT failures, COALESCE(locked_until > NOW(), false) AS locked
+     FROM auth_attempts WHERE scope=$1 AND subject=$2`,
+    [scope, subject]
+  );
+  return r.rows[0] || null;
+}
+
+// même enchaînement que les routes : réservation, puis vérification du PIN
+function guesser(subjects, pinHash) {
+  const counts = { verified: 0 };
+  async function guess(pin) {
+    const attempt = await reserveAttempt(pool, "PIN", subjects);
+    if (attempt.locked) return 429;
+    counts.verified++;
+    if (verifyPin(pin, pinHash)) {
+      await attemptSucceeded(pool, attempt);
+      return 200;
+    }
+    return attempt.lock ? 429 : 401;
+  }
+  return { guess, counts };
+}
+
+before(async () => {
+  await migrateUp();
+});
+
+after(async () => {
+  await pool.query(
+    `DELETE FROM auth_attempts WHERE subject LIKE 'player:test-%' OR subject LIKE 'ip:test-%'`
+  );
+  await pool.end();
+});
+
+test("parallel bad PINs: at most LOCKOUT_MAX_ATTEMPTS reach verifyPin", async () => {
+  const subjects = subjectsFor();
+  const { guess, counts } = guesser(subjects, hashPin(PIN));
+
+  const guesses = Array.from({ length: MAX_ATTEMPTS * 4 }, (_, i) => guess(String(1000 + i)));
+  const statuses = await Promise.all(guesses);
+
+  assert.equal(counts.verified, MAX_ATTEMPTS);
+  assert.equal(statuses.filter((s) => s === 401).length, MAX_ATTEMPTS - 1);
+  assert.equal(statuses.filter((s) => s === 429).length, MAX_ATTEMPTS * 3 + 1);
+  assert.deepEqual(await row("PIN", subjects[0]), { failures: MAX_ATTEMPTS, locked: true });
+
+  // bloqué : même le bon PIN n'est plus vérifié
+  assert.equal(await guess(PIN), 429);
+  assert.equal(counts.verified, MAX_ATTEMPTS);
+});
+
+test("success resets the account and gives the attempt back to the IP", async () => {
+  const subjects = subjectsFor();
+  const { guess } = guesser(subjects, hashPin(PIN));
+
+  assert.equal(await guess("1357"), 401);
+  assert.equal(await guess("1357"), 401);
+  assert.equal(await guess(PIN), 200);
+
+  assert.equal(await row("PIN", subjects[0]), null);
+  assert.deepEqual(await row("PIN", subjects[1]), { failures: 2, locked: false });
+});
+
+test("cancelled attempt is not counted and lifts the lock it set", async () => {
+  const subjects = subjectsFor();
+  const { guess } = guesser(subjects, hashPin(PIN));
+
+  for (let i = 1; i < MAX_ATTEMPTS; i++) assert.equal(await guess("1357"), 401);
+  const attempt = await reserveAttempt(pool, "PIN", subjects);
+  assert.ok(attempt.lock, "the attempt reaching the threshold sets the lock");
+  assert.ok((await reserveAttempt(pool, "PIN", subjects)).locked);
+
+  await cancelAttempt(pool, attempt);
+  assert.deepEqual(await row("PIN", subjects[0]), { failures: MAX_ATTEMPTS - 1, locked: false });
+  assert.equal(await guess(PIN), 200);
+});
@@ -1,5 +1,8 @@
 // tickets.js
 import crypto from "crypto";
+import { formatUnitsToDos, toUnits } from "./money.js";
+import { applyBalanceChange } from "./ledger.js";
+
 const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // sans O/0 et I/1
 
 export function generateTicketCode(length = 12) {
@@ -13,4 +16,53 @@ export function hashTicketCode(code) {
   const seed = process.env.SECRET_SEED || "";
   if (!seed || seed.length < 16) throw new Error("SECRET_SEED manquant/trop court");
   return crypto.createHash("sha256").update(`DDJ|${seed}|${code}`).digest("hex");
-}
\ No newline at end of file
+}
+
+// Rembourse l'émetteur d'un ticket OPEN (ligne verrouillée FOR UPDATE par l'appelant, dans sa
+// transaction) et le clôt : status = EXPIRED (délai dépassé) ou CANCELLED (annulé par le joueur).
+export async function refundTicket(db, events, ticket, status) {
+  await db.query(
+    `UPDATE transfer_tickets SET status=$2, refunded_at=NOW() WHERE id=$1`,
+    [String(ticket.id), status]
+  );
+
+  const playerId = ticket.from_player_id;
+  await events.publish(
+    db,
+    "ticket.refunded",
+    { ticketId: String(ticket.id), status, amount: formatUnitsToDos(ticket.amount_units), expiresAt: ticket.expires_at },
+    { playerId, key: `ticket.refunded:${ticket.id}` }
+  );
+  await applyBalanceChange(db, events, {
+    playerId,
+    type: "TICKET_REFUND",
+    amount: toUnits(ticket.amount_units),
+    meta: { ticketId: String(ticket.id), merchantId: String(ticket.to_merchant_id), status },
+    event: { ticketId: String(ticket.id) },
+  });
+}
+
+// Job de fond : expire + rembourse les tickets OPEN dont expires_at est passé, par lots.
+// SKIP LOCKED : plusieurs instances (ou un encaissement en cours) ne se bloquent pas.
+export async function expireStaleTickets(pool, events, { batchSize = 200 } = {}) {
+  const c = await pool.connect();
+  try {
+    await c.query("BEGIN");
+    const r = await c.query(
+      `SELECT * FROM transfer_tickets
+       WHERE status = 'OPEN' AND expires_at < NOW()
+       ORDER BY expires_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [batchSize]
+    );
+    for (const t of r.rows) await refundTicket(c, events, t, "EXPIRED");
+    await c.query("COMMIT");
+    return { expired: r.rowCount, more: r.rowCount === batchSize };
+  } catch (e) {
+    await c.query("ROLLBACK");
+    throw e;
+  } finally {
+    c.release();
+  }
+}
@@ -0,0 +1,162 @@
+// timing.js
+// Timing des rounds versionné (table round_timing_config), par jeu (game_id, cf games.js).
+// Une version = { effectiveRoundId, effectiveAtMs, roundSeconds, closeBetsAt } ; elle s'applique
+// aux rounds >= effectiveRoundId du jeu, la numérotation continue d'une version à l'autre.
+// Les fonctions "pures" ci-dessous prennent les versions d'un seul jeu.
+
+export const MIN_ROUND_SECONDS = 30;
+
+export function validateTiming(roundSeconds, closeBetsAt) {
+  if (!Number.isInteger(roundSeconds) || roundSeconds < MIN_ROUND_SECONDS)
+    return `roundSeconds must be an integer >= ${MIN_ROUND_SECONDS}`;
+  if (!Number.isInteger(closeBetsAt) || closeBetsAt < 1)
+    return "closeBetsAt must be an integer >= 1";
+  if (closeBetsAt >= roundSeconds) return "closeBetsAt must be < roundSeconds";
+  return null;
+}
+
+function rowToVersion(r) {
+  return {
+    version: Number(r.version),
+    gameId: Number(r.game_id),
+    effectiveRoundId: Number(r.effective_round_id),
+    effectiveAtMs: Number(r.effective_at_ms),
+    roundSeconds: Number(r.round_seconds),
+    closeBetsAt: Number(r.close_bets_at),
+    note: r.note,
+    cancelledAt: r.cancelled_at,
+    createdAt: r.created_at,
+  };
+}
+
+// versions actives (non annulées), triées par jeu puis round d'effet ; gameId null = tous les jeux
+export async function loadTimingVersions(db, gameId = null) {
+  const r = await db.query(
+    `SELECT * FROM round_timing_config
+     WHERE cancelled_at IS NULL AND ($1::int IS NULL OR game_id = $1)
+     ORDER BY game_id ASC, effective_round_id ASC`,
+    [gameId]
+  );
+  return r.rows.map(rowToVersion);
+}
+
+export async function timingHistory(db, limit = 50, gameId = null) {
+  const r = await db.query(
+    `SELECT * FROM round_timing_config
+     WHERE ($2::int IS NULL OR game_id = $2)
+     ORDER BY version DESC LIMIT $1`,
+    [limit, gameId]
+  );
+  return r.rows.map(rowToVersion);
+}
+
+// version initiale d'un jeu (jeu classique : depuis l'env au 1er boot, ensuite la base fait foi)
+// effectiveRoundId = round_base du jeu
+export async function ensureInitialTiming(db, { gameId, effectiveRoundId, roundSeconds, closeBetsAt, anchorMs, note }) {
+  await db.query(
+    `INSERT INTO round_timing_config (game_id, effective_round_id, effective_at_ms, round_seconds, close_bets_at, note)
+     SELECT $1, $2, $3, $4, $5, $6
+     WHERE NOT EXISTS (SELECT 1 FROM round_timing_config WHERE game_id = $1)
+     ON CONFLICT (game_id, effective_round_id) WHERE cancelled_at IS NULL DO NOTHING`,
+    [gameId, String(effectiveRoundId), String(anchorMs), roundSeconds, closeBetsAt, note || "initial"]
+  );
+}
+
+// version en vigueur à l'instant nowMs
+export function versionAtTime(versions, nowMs) {
+  let v = versions[0];
+  for (const x of versions) if (x.effectiveAtMs <= nowMs) v = x;
+  return v;
+}
+
+// version qui s'applique au round roundId
+export function versionForRound(versions, roundId) {
+  let v = versions[0];
+  for (const x of versions) if (x.effectiveRoundId <= roundId) v = x;
+  return v;
+}
+
+export function roundBounds(v, roundId) {
+  const roundMs = v.roundSeconds * 1000;
+  const roundStartMs = v.effectiveAtMs + (roundId - v.effectiveRoundId) * roundMs;
+  const roundEndMs = roundStartMs + roundMs;
+  const closeAtMs = roundEndMs - v.closeBetsAt * 1000;
+  return { roundId, roundStartMs, roundEndMs, closeAtMs };
+}
+
+export function roundIdAt(versions, nowMs) {
+  const v = versionAtTime(versions, nowMs);
+  return v.effectiveRoundId + Math.floor((nowMs - v.effectiveAtMs) / (v.roundSeconds * 1000));
+}
+
+// sérialise les changements de timing (plusieurs admins / instances)
+const TIMING_LOCK_KEY = 0x0dd17e;
+
+// Programme un changement à une frontière de round future d'un jeu. À appeler dans une transaction.
+// effectiveRoundId absent => premier round qui commence dans au moins minLeadMs.
+// Champs absents => hérités de la version qui s'appliquerait à ce round.
+// Les changements en attente à partir de ce round sont remplacés.
+// => { version } | { error }
+export async function scheduleTimingChange(db, { gameId, nowMs, minLeadMs, effectiveRoundId, roundSeconds, closeBetsAt, note }) {
+  await db.query(`SELECT pg_advisory_xact_lock($1)`, [TIMING_LOCK_KEY]);
+  const versions = await loadTimingVersions(db, gameId);
+  if (versions.length === 0) return { error: "timing not initialized" };
+
+  const currentId = roundIdAt(versions, nowMs);
+  let target = effectiveRoundId;
+  if (target == null) {
+    target = currentId + 1;
+    while (roundBounds(versionForRound(versions, target), target).roundStartMs < nowMs + minLeadMs) target++;
+  } else if (!Number.isInteger(target)) {
+    return { error: "effectiveRoundId must be an integer" };
+  } else if (target <= currentId) {
+    return { error: `effectiveRoundId must be > current round ${currentId}` };
+  }
+
+  const base = versionForRound(versions, target);
+  const effectiveAtMs = roundBounds(base, target).roundStartMs;
+  if (effectiveAtMs < nowMs + minLeadMs) {
+    return { error: `round ${target} starts too soon (min lead ${Math.ceil(minLeadMs / 1000)}s)` };
+  }
+
+  const rs = roundSeconds ?? base.roundSeconds;
+  const cb = closeBetsAt ?? base.closeBetsAt;
+  const invalid = validateTiming(rs, cb);
+  if (invalid) return { error: invalid };
+
+  await db.query(
+    `UPDATE round_timing_config SET cancelled_at = NOW()
+     WHERE cancelled_at IS NULL AND game_id = $2 AND effective_round_id >= $1`,
+    [target, gameId]
+  );
+  const r = await db.query(
+    `INSERT INTO round_timing_config (game_id, effective_round_id, effective_at_ms, round_seconds, close_bets_at, note)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [gameId, target, String(effectiveAtMs), rs, cb, note || null]
+  );
+  return { version: rowToVersion(r.rows[0]) };
+}
+
+// Annule un changement pas encore entré en vigueur, et ceux programmés après lui dans le même jeu
+// (leur effective_at_ms a été calculé à partir de celui-ci). À appeler dans une transaction.
+export async function cancelTimingChange(db, version, nowMs) {
+  await db.query(`SELECT pg_advisory_xact_lock($1)`, [TIMING_LOCK_KEY]);
+  const r = await db.query(
+    `WITH target AS (
+       SELECT t.game_id, t.effective_round_id
+       FROM round_timing_config t
+       JOIN games g ON g.id = t.game_id
+       WHERE t.version = $1 AND t.cancelled_at IS NULL
+         AND t.effective_round_id > g.round_base AND t.effective_at_ms > $2
+     )
+     UPDATE round_timing_config c SET cancelled_at = NOW()
+     FROM target
+     WHERE c.cancelled_at IS NULL
+       AND c.game_id = target.game_id
+       AND c.effective_round_id >= target.effective_round_id
+     RETURNING c.*`,
+    [version, String(nowMs)]
+  );
+  return r.rows.map(rowToVersion);
+}